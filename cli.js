@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * merge-convex CLI
+ * ================
+ *
+ * Single entry point for the MongoDB to Convex migrations, installed as the
+ * `merge-convex` command by package.json.
+ *
+ * Commands
+ * --------
+ * run <name>        Runs a migration from migrations/, e.g. users, tags, properties
+ * rollback <runId>  Undoes the Convex writes of an earlier run
+ * apply-review      Writes the coordinates chosen in the geocode review file
+ * verify [name...]  Compares MongoDB with Convex for the given migrations,
+ *                   by default every migration that supports it
+ * export [name...]  Writes the MongoDB collections of the given migrations
+ *                   to an NDJSON snapshot (--snapshot), by default of every
+ *                   migration that reads MongoDB
+ * list              Lists the available migrations
+ *
+ * Every command takes the flags, environment variables and config file
+ * described in lib/config.js, e.g.
+ *    node cli.js run users --config merge-convex.config.json --dry-run
+ */
+
+import { loadConfig, ConfigError } from './lib/config.js';
+import { runMigration, requiredConfig } from './lib/migration.js';
+import { rollbackRun } from './lib/rollback.js';
+import { applyReview } from './lib/geocodeReview.js';
+import { verifyMigrations, canVerify } from './lib/verify.js';
+import { exportSnapshot } from './lib/snapshot.js';
+import { migrations } from './migrations/index.js';
+import { logger } from './lib/logger.js';
+
+const USAGE = `Usage:
+  node cli.js run <name> [options]
+  node cli.js rollback <runId> [options]
+  node cli.js apply-review [options]
+  node cli.js verify [name...] [options]
+  node cli.js export [name...] --snapshot <dir> [options]
+  node cli.js list`;
+
+const COMMANDS = {
+  run: async (config, [name]) => {
+    const migration = migrations[name];
+    if (!migration) {
+      throw new ConfigError(name
+        ? `Unknown migration "${name}", available: ${Object.keys(migrations).join(', ')}`
+        : USAGE);
+    }
+    await runMigration(migration, config);
+  },
+
+  rollback: async (config, [runId]) => {
+    if (!runId) {
+      throw new ConfigError(USAGE);
+    }
+    await rollbackRun(runId, config);
+  },
+
+  'apply-review': async config => {
+    await applyReview(config);
+  },
+
+  verify: async (config, names) => {
+    const unknown = names.filter(name => !migrations[name]);
+    if (unknown.length > 0) {
+      throw new ConfigError(`Unknown migrations: ${unknown.join(', ')}, available: ${Object.keys(migrations).join(', ')}`);
+    }
+    const selected = names.length > 0
+      ? names.map(name => migrations[name])
+      : Object.values(migrations).filter(canVerify);
+    await verifyMigrations(selected, config);
+  },
+
+  export: async (config, names) => {
+    const unknown = names.filter(name => !migrations[name]);
+    if (unknown.length > 0) {
+      throw new ConfigError(`Unknown migrations: ${unknown.join(', ')}, available: ${Object.keys(migrations).join(', ')}`);
+    }
+    const selected = names.length > 0
+      ? names.map(name => migrations[name])
+      : Object.values(migrations).filter(migration => migration.snapshot);
+    const unsupported = selected.filter(migration => !migration.snapshot);
+    if (unsupported.length > 0) {
+      throw new ConfigError(`Cannot export ${unsupported.map(migration => migration.name).join(', ')}: does not read from MongoDB`);
+    }
+    await exportSnapshot(selected, config);
+  },
+
+  list: async () => {
+    for (const migration of Object.values(migrations)) {
+      logger.info(`${migration.name.padEnd(12)} requires ${requiredConfig(migration).join(', ')}`);
+    }
+  }
+};
+
+async function main() {
+  const config = await loadConfig();
+  const [command, ...args] = config.args;
+
+  const handler = COMMANDS[command];
+  if (!handler) {
+    throw new ConfigError(command ? `Unknown command "${command}"\n${USAGE}` : USAGE);
+  }
+  await handler(config, args);
+}
+
+main().catch(error => {
+  logger.error(error instanceof ConfigError ? error.message : error);
+  process.exitCode = 1;
+});
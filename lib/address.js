@@ -0,0 +1,227 @@
+/**
+ * Address Normalization
+ * =====================
+ *
+ * Cleans up property addresses before they are geocoded, cached or written
+ * back to Convex:
+ * - ZIP codes are strings padded to five digits, so 2134 becomes "02134"
+ *   (ZIP+4 codes keep their extension, "02134-1234")
+ * - The street suffix is shortened to its USPS abbreviation ("Street" and
+ *   "Str." become "St") and unit designators likewise ("Apartment 4" becomes
+ *   "Apt 4", "Suite" becomes "Ste")
+ * - State names become their two letter codes ("Massachusetts" becomes "MA")
+ * - Whitespace is collapsed, and missing or empty parts are dropped instead
+ *   of showing up as "undefined"
+ *
+ * Suffix and unit abbreviations follow USPS Publication 28, Appendix C. Only
+ * the common suffixes are listed; anything not in the tables is left as it
+ * is.
+ */
+
+const STREET_SUFFIXES = {
+  Aly: ['alley', 'allee', 'ally', 'aly'],
+  Ave: ['avenue', 'av', 'aven', 'avenu', 'avn', 'avnue', 'ave'],
+  Blvd: ['boulevard', 'boul', 'boulv', 'blvd'],
+  Cir: ['circle', 'circ', 'circl', 'crcl', 'crcle', 'cir'],
+  Ct: ['court', 'crt', 'ct'],
+  Cv: ['cove', 'cv'],
+  Dr: ['drive', 'driv', 'drv', 'dr'],
+  Expy: ['expressway', 'expr', 'express', 'expw', 'expy'],
+  Fwy: ['freeway', 'frway', 'frwy', 'freewy', 'fwy'],
+  Hwy: ['highway', 'highwy', 'hiway', 'hiwy', 'hway', 'hwy'],
+  Ln: ['lane', 'ln'],
+  Loop: ['loop', 'loops'],
+  Pkwy: ['parkway', 'parkwy', 'pkway', 'pky', 'pkwy'],
+  Pl: ['place', 'pl'],
+  Plz: ['plaza', 'plza', 'plz'],
+  Rd: ['road', 'rd'],
+  Sq: ['square', 'sqr', 'sqre', 'squ', 'sq'],
+  St: ['street', 'strt', 'str', 'st'],
+  Ter: ['terrace', 'terr', 'ter'],
+  Trl: ['trail', 'trails', 'trls', 'trl'],
+  Way: ['way', 'wy']
+};
+
+const UNIT_DESIGNATORS = {
+  Apt: ['apartment', 'apt'],
+  Bldg: ['building', 'bldg'],
+  Fl: ['floor', 'fl'],
+  Ste: ['suite', 'ste'],
+  Rm: ['room', 'rm'],
+  Unit: ['unit'],
+  Lot: ['lot'],
+  Dept: ['department', 'dept'],
+  '#': ['#']
+};
+
+const STATE_CODES = {
+  alabama: 'AL', alaska: 'AK', arizona: 'AZ', arkansas: 'AR', california: 'CA',
+  colorado: 'CO', connecticut: 'CT', delaware: 'DE', 'district of columbia': 'DC',
+  florida: 'FL', georgia: 'GA', hawaii: 'HI', idaho: 'ID', illinois: 'IL',
+  indiana: 'IN', iowa: 'IA', kansas: 'KS', kentucky: 'KY', louisiana: 'LA',
+  maine: 'ME', maryland: 'MD', massachusetts: 'MA', michigan: 'MI',
+  minnesota: 'MN', mississippi: 'MS', missouri: 'MO', montana: 'MT',
+  nebraska: 'NE', nevada: 'NV', 'new hampshire': 'NH', 'new jersey': 'NJ',
+  'new mexico': 'NM', 'new york': 'NY', 'north carolina': 'NC',
+  'north dakota': 'ND', ohio: 'OH', oklahoma: 'OK', oregon: 'OR',
+  pennsylvania: 'PA', 'puerto rico': 'PR', 'rhode island': 'RI',
+  'south carolina': 'SC', 'south dakota': 'SD', tennessee: 'TN', texas: 'TX',
+  utah: 'UT', vermont: 'VT', virginia: 'VA', washington: 'WA',
+  'west virginia': 'WV', wisconsin: 'WI', wyoming: 'WY'
+};
+
+const SUFFIX_LOOKUP = invert(STREET_SUFFIXES);
+const UNIT_LOOKUP = invert(UNIT_DESIGNATORS);
+
+/**
+ * Normalizes an address
+ * Fields other than street, unit, city, state and zip are kept as they are.
+ * @param {Object} address - Property address object
+ * @returns {Object} Cleaned address without empty parts
+ */
+export function normalizeAddress(address) {
+  const normalized = {
+    ...address,
+    street: normalizeStreet(address.street),
+    unit: normalizeUnit(address.unit),
+    city: clean(address.city),
+    state: normalizeState(address.state),
+    zip: normalizeZip(address.zip)
+  };
+
+  for (const [key, value] of Object.entries(normalized)) {
+    if (value === null || value === undefined || value === '') delete normalized[key];
+  }
+  return normalized;
+}
+
+/**
+ * Formats an address as a single line, after normalizing it
+ * @param {Object} address - Property address object
+ * @returns {string} e.g. "123 Main St, Springfield, IL 62701"
+ */
+export function formatAddress(address) {
+  const { street, unit, city, state, zip } = normalizeAddress(address);
+  return [
+    [street, unit].filter(Boolean).join(' '),
+    city,
+    [state, zip].filter(Boolean).join(' ')
+  ].filter(Boolean).join(', ');
+}
+
+/**
+ * @param {string|number} zip - ZIP or ZIP+4 code, possibly a number without leading zeros
+ * @returns {string|null} Five digit ZIP code, with its +4 extension if it had one
+ */
+export function normalizeZip(zip) {
+  const match = String(zip ?? '').trim().match(/^(\d{3,5})(?:\s*-\s*(\d{4}))?$/);
+  if (!match) return clean(zip);
+
+  const five = match[1].padStart(5, '0');
+  return match[2] ? `${five}-${match[2]}` : five;
+}
+
+/**
+ * Standardizes the suffix and unit designator of a street line
+ * The suffix is the last word before the unit designator, e.g. "Street" in
+ * "123 Main Street Apt 4". A unit designator only counts as one after a
+ * street suffix, or when it and a unit number end the line ("123 Main Apt
+ * 4"), so street names like "100 Floor St" or "500 Suite Ave Suite 200" keep
+ * their words.
+ * @param {string} street - Street line
+ * @returns {string|null} Standardized street line
+ */
+function normalizeStreet(street) {
+  const words = (clean(street) ?? '').split(' ').filter(Boolean);
+  if (words.length === 0) return null;
+
+  let unitIndex = words.findIndex((word, index) => startsUnit(words, index));
+  if (unitIndex < 0) unitIndex = words.length;
+
+  const suffixIndex = unitIndex - 1;
+  if (suffixIndex > 0 && SUFFIX_LOOKUP[lookupKey(words[suffixIndex])]) {
+    words[suffixIndex] = SUFFIX_LOOKUP[lookupKey(words[suffixIndex])];
+  }
+  if (unitIndex < words.length && UNIT_LOOKUP[lookupKey(words[unitIndex])]) {
+    words[unitIndex] = UNIT_LOOKUP[lookupKey(words[unitIndex])];
+  }
+
+  return words.join(' ');
+}
+
+/**
+ * @param {string[]} words - Words of a street line
+ * @param {number} index - Position of a word
+ * @returns {boolean} True if the unit starts at the word
+ */
+function startsUnit(words, index) {
+  // The house number and at least one word of the street name come first
+  if (index < 2) return false;
+
+  const afterSuffix = Boolean(SUFFIX_LOOKUP[lookupKey(words[index - 1])]);
+  // "#4" carries its number in the same word
+  if (/^#\S+/.test(words[index])) {
+    return afterSuffix || index === words.length - 1;
+  }
+  if (!UNIT_LOOKUP[lookupKey(words[index])]) return false;
+  return afterSuffix || (index === words.length - 2 && isUnitNumber(words[index + 1]));
+}
+
+/**
+ * @param {string} word - Word of a street line
+ * @returns {boolean} True for unit numbers like "4", "4B", "B" or "B2"
+ */
+function isUnitNumber(word) {
+  return /^(\d+[a-z]?|[a-z]\d*)$/i.test(lookupKey(word));
+}
+
+/**
+ * @param {string} unit - Separate unit field, e.g. "Suite 200"
+ * @returns {string|null} Unit with a standardized designator
+ */
+function normalizeUnit(unit) {
+  const [designator, ...rest] = (clean(unit) ?? '').split(' ').filter(Boolean);
+  if (!designator) return null;
+
+  const standard = UNIT_LOOKUP[lookupKey(designator)];
+  return [standard ?? designator, ...rest].join(' ');
+}
+
+/**
+ * @param {string} state - State name or code
+ * @returns {string|null} Two letter state code, or the cleaned input if it is not a US state
+ */
+function normalizeState(state) {
+  const value = clean(state);
+  if (!value) return null;
+  if (/^[a-z]{2}$/i.test(value)) return value.toUpperCase();
+  return STATE_CODES[value.toLowerCase().replace(/\./g, '')] ?? value;
+}
+
+/**
+ * @param {*} value - Address part
+ * @returns {string|null} Trimmed string with single spaces, or null when empty
+ */
+function clean(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  return text && text !== 'undefined' && text !== 'null' ? text : null;
+}
+
+/**
+ * @param {string} word - Word of a street line
+ * @returns {string} Lower case word without trailing periods and commas
+ */
+function lookupKey(word) {
+  return word.toLowerCase().replace(/[.,]+$/, '');
+}
+
+/**
+ * @param {Object} table - Standard form to its variants
+ * @returns {Object} Variant to standard form
+ */
+function invert(table) {
+  return Object.fromEntries(Object.entries(table).flatMap(([standard, variants]) =>
+    variants.map(variant => [variant, standard])
+  ));
+}
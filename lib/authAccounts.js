@@ -0,0 +1,127 @@
+/**
+ * Auth Accounts
+ * =============
+ *
+ * Works out how a MongoDB user signs in and links the matching Convex Auth
+ * accounts (the authAccounts table) to the migrated user, so users keep
+ * their login method after cutover.
+ *
+ * Providers
+ * ---------
+ * - password: A password hash in `password`, `passwordHash` or
+ *   `services.password.bcrypt`. The account is keyed by the user's email and
+ *   keeps the hash as its secret
+ * - google, facebook, apple, github: An OAuth ID in `<provider>Id` (e.g.
+ *   `googleId`) or `services.<provider>.id`, which becomes the account's
+ *   providerAccountId
+ *
+ * Users without any of them are migrated without accounts and have to reset
+ * their password or sign in with another provider.
+ *
+ * Hashes are copied as they are. Convex Auth's Password provider verifies
+ * Scrypt hashes by default, so configure it with a `crypto` option that
+ * verifies the source format (usually bcrypt).
+ *
+ * Email Verification
+ * ------------------
+ * A user's email counts as verified when `emailVerified` (a boolean or a
+ * date) or `isVerified` says so, or when the `emails` entry for the address
+ * is marked verified. Users without any of these fields are unverified.
+ *
+ * Convex Functions
+ * ----------------
+ * - authAccounts:getByProvider { provider, providerAccountId }
+ * - authAccounts:create { userId, provider, providerAccountId, secret? }
+ * - authAccounts:update { id, userId, provider, providerAccountId, secret? }
+ * - authAccounts:remove { id }, used by rollback
+ *
+ * Existing accounts get the migrated secret. Accounts of providers the
+ * MongoDB user no longer has are left alone, and an account that already
+ * belongs to another Convex user fails the user instead of being moved.
+ * The run journal keeps an updated account's previous secret so rollback
+ * can restore it (see lib/journal.js).
+ */
+
+import { logger } from './logger.js';
+
+const OAUTH_PROVIDERS = ['google', 'facebook', 'apple', 'github'];
+
+/**
+ * Finds the accounts a MongoDB user signs in with
+ * @param {Object} user - MongoDB user document
+ * @param {string} email - Migrated email, the password account's ID
+ * @returns {Object[]} Accounts { provider, providerAccountId, secret? }
+ */
+export function findAuthAccounts(user, email) {
+  const accounts = [];
+
+  const hash = [user.password, user.passwordHash, user.services?.password?.bcrypt].map(text).find(Boolean);
+  if (hash && email) {
+    accounts.push({ provider: 'password', providerAccountId: email, secret: hash });
+  }
+
+  for (const provider of OAUTH_PROVIDERS) {
+    const accountId = text(user[`${provider}Id`]) ?? text(user.services?.[provider]?.id);
+    if (accountId) {
+      accounts.push({ provider, providerAccountId: accountId });
+    }
+  }
+
+  return accounts;
+}
+
+/**
+ * @param {Object} user - MongoDB user document
+ * @param {string} email - Migrated email
+ * @returns {boolean} True if the source data marks the email as verified
+ */
+export function isEmailVerified(user, email) {
+  if (user.emailVerified instanceof Date) return true;
+  for (const field of ['emailVerified', 'isVerified']) {
+    if (typeof user[field] === 'boolean') return user[field];
+  }
+
+  const entry = (user.emails ?? []).find(entry => text(entry?.address)?.toLowerCase() === email);
+  return entry?.verified === true;
+}
+
+/**
+ * Creates or updates the Convex auth accounts of a migrated user
+ * @param {string} sourceId - MongoDB ID of the user, recorded in the journal
+ * @param {string} userId - Convex user ID
+ * @param {Object[]} accounts - Accounts from findAuthAccounts()
+ * @param {Object} context - Shared run state (convexClient, journal)
+ * @throws {Error} If an account belongs to another Convex user
+ */
+export async function linkAuthAccounts(sourceId, userId, accounts, { convexClient, journal }) {
+  for (const account of accounts) {
+    const { provider, providerAccountId } = account;
+    const existing = await convexClient.query('authAccounts:getByProvider', { provider, providerAccountId });
+
+    if (!existing) {
+      const result = await convexClient.mutation('authAccounts:create', { userId, ...account });
+      const id = typeof result === 'string' ? result : result?._id;
+      journal.created('authAccounts', id, sourceId);
+      logger.debug(`Linked ${provider} account to user ${userId}`);
+      continue;
+    }
+
+    if (existing.userId !== userId) {
+      throw new Error(`${provider} account ${providerAccountId} belongs to another user (${existing.userId})`);
+    }
+    if (account.secret !== undefined && existing.secret !== account.secret) {
+      await convexClient.mutation('authAccounts:update', { id: existing._id, userId, ...account }, { idempotent: true });
+      journal.updated('authAccounts', existing._id, existing);
+      logger.debug(`Updated ${provider} account of user ${userId}`);
+    }
+  }
+}
+
+/**
+ * @param {*} value - Source field
+ * @returns {string|null} Trimmed string, or null when empty
+ */
+function text(value) {
+  if (value === null || value === undefined || typeof value === 'object') return null;
+  return String(value).trim() || null;
+}
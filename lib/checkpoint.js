@@ -0,0 +1,73 @@
+/**
+ * Checkpoints
+ * ===========
+ *
+ * Saves a script's progress to a small JSON file after every batch of
+ * records has finished, so an interrupted run can continue with --resume
+ * instead of starting over. Records of the batch that was in flight are
+ * processed again. What goes into the state is up to each script, typically
+ * the last processed `_id`, a pagination cursor and the running counters.
+ *
+ * Checkpoints are written through a temporary file and a rename, so a crash
+ * mid-write leaves the previous checkpoint intact. A run that finishes
+ * removes its checkpoint.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { readJsonFile, writeJsonAtomic } from './files.js';
+import { logger } from './logger.js';
+
+export class Checkpoint {
+  /**
+   * @param {string} filePath - Checkpoint file location
+   * @param {Object|null} [state] - Previously saved state
+   */
+  constructor(filePath, state = null) {
+    this.filePath = filePath;
+    this.state = state;
+  }
+
+  /**
+   * Opens the checkpoint for a script
+   * @param {string} directory - Checkpoint directory
+   * @param {string} name - Script name, used as the file name
+   * @returns {Checkpoint} Checkpoint with any saved state loaded
+   */
+  static open(directory, name) {
+    const filePath = path.join(directory, `${name}.json`);
+    return new Checkpoint(filePath, readJsonFile(filePath, 'checkpoint'));
+  }
+
+  /**
+   * Persists progress
+   * @param {Object} state - Progress to save
+   */
+  save(state) {
+    this.state = { ...state, savedAt: new Date().toISOString() };
+    writeJsonAtomic(this.filePath, this.state);
+  }
+
+  /**
+   * Removes the checkpoint after a completed run
+   */
+  clear() {
+    this.state = null;
+    fs.rmSync(this.filePath, { force: true });
+  }
+}
+
+/**
+ * Exits cleanly on Ctrl-C / SIGTERM with a hint on how to resume
+ * Progress is saved after every finished batch, so nothing is flushed here;
+ * a resumed run repeats the batch that was interrupted.
+ * @param {string} command - Command to suggest for resuming
+ */
+export function exitOnInterrupt(command) {
+  const handler = signal => {
+    logger.info(`\nReceived ${signal}. Progress is saved; continue with: ${command} --resume`);
+    process.exit(130);
+  };
+  process.once('SIGINT', handler);
+  process.once('SIGTERM', handler);
+}
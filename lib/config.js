@@ -0,0 +1,561 @@
+/**
+ * Shared Configuration
+ * ====================
+ *
+ * Loads the settings used by the migration scripts so that nothing
+ * environment-specific has to live in source.
+ *
+ * Sources
+ * -------
+ * Values are resolved in this order (first match wins):
+ * 1. CLI flags          e.g. --convex-url https://your-deployment.convex.cloud
+ * 2. Environment        e.g. CONVEX_URL=https://your-deployment.convex.cloud
+ * 3. Config file        --config <path>, MERGE_CONVEX_CONFIG, or ./merge-convex.config.json
+ * 4. Built-in defaults
+ *
+ * Config files may be JSON or YAML (.yaml/.yml, requires `npm install yaml`).
+ * Keys in the file use the camelCase names from OPTIONS below.
+ *
+ * Validation
+ * ----------
+ * Each script passes the keys it needs as `required`. Every missing or
+ * malformed value is collected and reported in a single ConfigError that
+ * names the flag and environment variable to set.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { logger, LOG_LEVELS } from './logger.js';
+
+const DEFAULT_CONFIG_FILE = 'merge-convex.config.json';
+
+/**
+ * Supported settings
+ * - flag: CLI flag name (without the leading --)
+ * - env: Environment variable name
+ * - type: 'string' | 'list' (comma separated) | 'number' | 'boolean'
+ * - validate: Optional check returning an error message or null
+ */
+export const OPTIONS = {
+  mongodbUri: {
+    flag: 'mongodb-uri',
+    env: 'MONGODB_URI',
+    type: 'string',
+    description: 'MongoDB connection string',
+    validate: value => /^mongodb(\+srv)?:\/\//.test(value) ? null : 'must start with mongodb:// or mongodb+srv://'
+  },
+  mongoDbName: {
+    flag: 'db-name',
+    env: 'MONGO_DB_NAME',
+    type: 'string',
+    description: 'MongoDB source database name'
+  },
+  convexUrl: {
+    flag: 'convex-url',
+    env: 'CONVEX_URL',
+    type: 'string',
+    description: 'Convex deployment URL',
+    validate: value => /^https?:\/\//.test(value) ? null : 'must be an http(s) URL'
+  },
+  authToken: {
+    flag: 'auth-token',
+    env: 'AUTH_TOKEN',
+    type: 'string',
+    description: 'Convex authentication token'
+  },
+  teamIds: {
+    flag: 'team-ids',
+    env: 'TEAM_IDS',
+    type: 'list',
+    description: 'MongoDB team ObjectIds to migrate',
+    validate: value => value.every(id => /^[a-f0-9]{24}$/i.test(id)) ? null : 'must be a list of 24 character hex ObjectIds'
+  },
+  orgIds: {
+    flag: 'org-ids',
+    env: 'ORG_IDS',
+    type: 'list',
+    description: 'Convex org IDs to geocode properties for, or "all" for every membership (default: the active org)',
+    default: []
+  },
+  googleApiKey: {
+    flag: 'google-api-key',
+    env: 'GOOGLE_API_KEY',
+    type: 'string',
+    description: 'Google Maps API key with Geocoding API enabled'
+  },
+  geocoders: {
+    flag: 'geocoders',
+    env: 'GEOCODERS',
+    type: 'list',
+    description: 'Geocoding providers in fallback order (google, nominatim, mapbox, centroid, mock)',
+    default: ['google']
+  },
+  geocodeCacheFile: {
+    flag: 'geocode-cache',
+    env: 'GEOCODE_CACHE',
+    type: 'string',
+    description: 'Geocode cache file',
+    default: 'geocode-cache.json'
+  },
+  force: {
+    flag: 'force',
+    env: 'FORCE',
+    type: 'boolean',
+    description: 'Geocode properties that already have a location',
+    default: false
+  },
+  writeAddress: {
+    flag: 'write-address',
+    env: 'WRITE_ADDRESS',
+    type: 'boolean',
+    description: 'Write normalized addresses back to properties',
+    default: false
+  },
+  minConfidence: {
+    flag: 'min-confidence',
+    env: 'GEOCODE_MIN_CONFIDENCE',
+    type: 'number',
+    description: 'Geocoding confidence (0 to 1) below which results are queued for review',
+    default: 0.7,
+    validate: value => value >= 0 && value <= 1 ? null : 'must be between 0 and 1'
+  },
+  geocodeRate: {
+    flag: 'geocode-rate',
+    env: 'GEOCODE_RATE',
+    type: 'number',
+    description: 'Geocoding requests per second per network provider, overriding the provider quotas',
+    validate: value => value > 0 ? null : 'must be a positive number'
+  },
+  geocodeConcurrency: {
+    flag: 'geocode-concurrency',
+    env: 'GEOCODE_CONCURRENCY',
+    type: 'number',
+    description: 'Properties geocoded at once',
+    default: 4,
+    validate: positiveInteger
+  },
+  reviewFile: {
+    flag: 'review-file',
+    env: 'GEOCODE_REVIEW_FILE',
+    type: 'string',
+    description: 'Queue of geocoding results waiting for manual review',
+    default: 'geocode-review.json'
+  },
+  mapboxToken: {
+    flag: 'mapbox-token',
+    env: 'MAPBOX_TOKEN',
+    type: 'string',
+    description: 'Mapbox access token'
+  },
+  nominatimUrl: {
+    flag: 'nominatim-url',
+    env: 'NOMINATIM_URL',
+    type: 'string',
+    description: 'Nominatim base URL',
+    default: 'https://nominatim.openstreetmap.org',
+    validate: value => /^https?:\/\//.test(value) ? null : 'must be an http(s) URL'
+  },
+  centroidFile: {
+    flag: 'centroid-file',
+    env: 'CENTROID_FILE',
+    type: 'string',
+    description: 'CSV file with zip, lat and lng columns for the centroid geocoder'
+  },
+  idMapFile: {
+    flag: 'id-map',
+    env: 'ID_MAP_FILE',
+    type: 'string',
+    description: 'Mongo-to-Convex ID registry file',
+    default: 'id-map.json'
+  },
+  duplicateUsers: {
+    flag: 'duplicate-users',
+    env: 'DUPLICATE_USERS',
+    type: 'string',
+    description: 'How users sharing an email are migrated (merge, newest, skip)',
+    default: 'merge',
+    validate: value => ['merge', 'newest', 'skip'].includes(value) ? null : 'must be merge, newest or skip'
+  },
+  migrateImages: {
+    flag: 'migrate-images',
+    env: 'MIGRATE_IMAGES',
+    type: 'boolean',
+    description: 'Copy profile images into Convex file storage',
+    default: false
+  },
+  imageOrigin: {
+    flag: 'image-origin',
+    env: 'IMAGE_ORIGIN',
+    type: 'string',
+    description: 'Origin to download profile images from instead of the one in their URL',
+    validate: value => /^https?:\/\//.test(value) ? null : 'must be an http(s) URL'
+  },
+  maxImageBytes: {
+    flag: 'max-image-bytes',
+    env: 'MAX_IMAGE_BYTES',
+    type: 'number',
+    description: 'Largest profile image to migrate, in bytes',
+    default: 5 * 1024 * 1024,
+    validate: positiveInteger
+  },
+  membershipMapFile: {
+    flag: 'membership-map',
+    env: 'MEMBERSHIP_MAP_FILE',
+    type: 'string',
+    description: 'Role and status mapping tables for user org memberships'
+  },
+  tagRefTypes: {
+    flag: 'tag-ref-types',
+    env: 'TAG_REF_TYPES',
+    type: 'list',
+    description: 'Tag reference types to migrate',
+    default: ['property', 'contact']
+  },
+  tagNameMatch: {
+    flag: 'tag-name-match',
+    env: 'TAG_NAME_MATCH',
+    type: 'string',
+    description: 'How tag names are compared when deduplicating',
+    default: 'exact',
+    validate: value => ['exact', 'normalized'].includes(value) ? null : 'must be exact or normalized'
+  },
+  fallbackUserId: {
+    flag: 'fallback-user-id',
+    env: 'FALLBACK_USER_ID',
+    type: 'string',
+    description: 'Convex user ID to own tags whose creator is not in the ID registry'
+  },
+  snapshotDir: {
+    flag: 'snapshot',
+    env: 'SNAPSHOT_DIR',
+    type: 'string',
+    description: 'NDJSON snapshot directory, written by export and read instead of MongoDB'
+  },
+  dryRun: {
+    flag: 'dry-run',
+    env: 'DRY_RUN',
+    type: 'boolean',
+    description: 'Run reads and transforms only and print the planned writes',
+    default: false
+  },
+  planFile: {
+    flag: 'plan-file',
+    env: 'PLAN_FILE',
+    type: 'string',
+    description: 'File to write the dry-run plan to as JSON'
+  },
+  resume: {
+    flag: 'resume',
+    env: 'RESUME',
+    type: 'boolean',
+    description: 'Continue from the last checkpoint of an interrupted run',
+    default: false
+  },
+  checkpointDir: {
+    flag: 'checkpoint-dir',
+    env: 'CHECKPOINT_DIR',
+    type: 'string',
+    description: 'Directory for checkpoint files',
+    default: '.checkpoints'
+  },
+  sync: {
+    flag: 'sync',
+    env: 'SYNC',
+    type: 'boolean',
+    description: 'Only migrate documents changed since the last sync run',
+    default: false
+  },
+  watch: {
+    flag: 'watch',
+    env: 'WATCH',
+    type: 'boolean',
+    description: 'After syncing, keep applying changes from MongoDB change streams',
+    default: false
+  },
+  syncStateDir: {
+    flag: 'sync-state-dir',
+    env: 'SYNC_STATE_DIR',
+    type: 'string',
+    description: 'Directory for sync watermarks and change stream resume tokens',
+    default: '.sync'
+  },
+  concurrency: {
+    flag: 'concurrency',
+    env: 'CONCURRENCY',
+    type: 'number',
+    description: 'Maximum Convex requests in flight',
+    default: 4,
+    validate: positiveInteger
+  },
+  batchSize: {
+    flag: 'batch-size',
+    env: 'BATCH_SIZE',
+    type: 'number',
+    description: 'Records processed per batch',
+    default: 100,
+    validate: positiveInteger
+  },
+  maxRetries: {
+    flag: 'max-retries',
+    env: 'MAX_RETRIES',
+    type: 'number',
+    description: 'Retries for transient Convex errors',
+    default: 5,
+    validate: value => Number.isInteger(value) && value >= 0 ? null : 'must be a whole number'
+  },
+  retryBaseDelayMs: {
+    flag: 'retry-delay',
+    env: 'RETRY_DELAY_MS',
+    type: 'number',
+    description: 'Backoff delay in milliseconds before the first retry',
+    default: 500,
+    validate: positiveInteger
+  },
+  rejectionsDir: {
+    flag: 'rejections-dir',
+    env: 'REJECTIONS_DIR',
+    type: 'string',
+    description: 'Directory for records rejected by schema validation',
+    default: 'rejections'
+  },
+  reportDir: {
+    flag: 'report-dir',
+    env: 'REPORT_DIR',
+    type: 'string',
+    description: 'Directory for run reports',
+    default: 'reports'
+  },
+  journalDir: {
+    flag: 'journal-dir',
+    env: 'JOURNAL_DIR',
+    type: 'string',
+    description: 'Directory for run journals used by rollback',
+    default: 'journals'
+  },
+  reportFormats: {
+    flag: 'report-format',
+    env: 'REPORT_FORMAT',
+    type: 'list',
+    description: 'Run report formats',
+    default: ['json', 'csv'],
+    validate: value => value.every(format => ['json', 'csv'].includes(format)) ? null : 'must be json, csv or both'
+  },
+  logLevel: {
+    flag: 'log-level',
+    env: 'LOG_LEVEL',
+    type: 'string',
+    description: 'Log level',
+    default: 'info',
+    validate: value => LOG_LEVELS.includes(value) ? null : `must be one of ${LOG_LEVELS.join(', ')}`
+  }
+};
+
+/**
+ * Raised when configuration is missing or invalid
+ */
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+/**
+ * Loads, merges and validates configuration
+ * @param {Object} [options]
+ * @param {string[]} [options.required] - Config keys the calling script needs
+ * @param {string[]} [options.argv] - CLI arguments, defaults to process.argv
+ * @param {Object} [options.env] - Environment, defaults to process.env
+ * @returns {Promise<Object>} Config values keyed by option name, plus `args` for positional arguments
+ * @throws {ConfigError} If a flag is unknown, the config file is unreadable, or values are missing/invalid
+ */
+export async function loadConfig({ required = [], argv = process.argv.slice(2), env = process.env } = {}) {
+  const { flags, args } = parseFlags(argv);
+  const fileValues = await readConfigFile(flags.config ?? env.MERGE_CONVEX_CONFIG);
+
+  const config = { args };
+  const problems = [];
+
+  for (const [key, option] of Object.entries(OPTIONS)) {
+    let value;
+    let source;
+    if (flags[option.flag] !== undefined) {
+      [value, source] = [flags[option.flag], `--${option.flag}`];
+    } else if (env[option.env] !== undefined && env[option.env] !== '') {
+      [value, source] = [env[option.env], option.env];
+    } else if (fileValues[key] !== undefined) {
+      [value, source] = [fileValues[key], `config file key "${key}"`];
+    } else {
+      value = option.default;
+    }
+
+    if (value === undefined) {
+      config[key] = undefined;
+      continue;
+    }
+
+    try {
+      config[key] = coerce(value, option.type);
+    } catch (error) {
+      problems.push(`${source}: ${error.message}`);
+      continue;
+    }
+
+    const message = option.validate?.(config[key]);
+    if (message) {
+      problems.push(`${source}: ${option.description} ${message}`);
+    }
+  }
+
+  problems.push(...missingKeys(config, required));
+
+  if (problems.length > 0) {
+    throw new ConfigError(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  logger.setLevel(config.logLevel);
+  return config;
+}
+
+/**
+ * Checks that a loaded config has the keys a command needs
+ * Used when the required keys are only known after loading, e.g. once the
+ * CLI has looked up which migration to run.
+ * @param {Object} config - Config from loadConfig()
+ * @param {string[]} required - Config keys the command needs
+ * @throws {ConfigError} If any of the keys is missing
+ */
+export function requireConfig(config, required) {
+  const problems = missingKeys(config, required);
+  if (problems.length > 0) {
+    throw new ConfigError(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+  }
+}
+
+/**
+ * @param {Object} config - Config values
+ * @param {string[]} required - Config keys that must be set
+ * @returns {string[]} One problem per missing key
+ */
+function missingKeys(config, required) {
+  return required
+    .filter(key => {
+      const value = config[key];
+      return value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+    })
+    .map(key => {
+      const option = OPTIONS[key];
+      return `Missing ${option.description}: set --${option.flag}, ${option.env}, or "${key}" in the config file`;
+    });
+}
+
+/**
+ * Parses CLI flags declared in OPTIONS
+ * @param {string[]} argv - CLI arguments
+ * @returns {{flags: Object, args: string[]}} Flag values and positional arguments
+ */
+function parseFlags(argv) {
+  const parseOptions = { config: { type: 'string' } };
+  for (const option of Object.values(OPTIONS)) {
+    parseOptions[option.flag] = { type: option.type === 'boolean' ? 'boolean' : 'string' };
+  }
+
+  try {
+    const { values, positionals } = parseArgs({ args: argv, options: parseOptions, allowPositionals: true });
+    return { flags: values, args: positionals };
+  } catch (error) {
+    throw new ConfigError(error.message);
+  }
+}
+
+/**
+ * Reads a JSON or YAML config file
+ * Falls back to ./merge-convex.config.json when no path is given and it exists
+ * @param {string} [filePath] - Explicit config file path
+ * @returns {Promise<Object>} Parsed config values
+ */
+async function readConfigFile(filePath) {
+  if (!filePath) {
+    if (!fs.existsSync(DEFAULT_CONFIG_FILE)) return {};
+    filePath = DEFAULT_CONFIG_FILE;
+  }
+
+  let contents;
+  try {
+    contents = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new ConfigError(`Could not read config file ${filePath}: ${error.message}`);
+  }
+
+  const extension = path.extname(filePath).toLowerCase();
+  let values;
+  try {
+    if (extension === '.yaml' || extension === '.yml') {
+      const { parse } = await importYaml();
+      values = parse(contents);
+    } else {
+      values = JSON.parse(contents);
+    }
+  } catch (error) {
+    if (error instanceof ConfigError) throw error;
+    throw new ConfigError(`Could not parse config file ${filePath}: ${error.message}`);
+  }
+
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new ConfigError(`Config file ${filePath} must contain an object`);
+  }
+
+  const unknownKeys = Object.keys(values).filter(key => !(key in OPTIONS));
+  if (unknownKeys.length > 0) {
+    throw new ConfigError(`Unknown keys in config file ${filePath}: ${unknownKeys.join(', ')}`);
+  }
+
+  return values;
+}
+
+/**
+ * Loads the optional yaml package
+ * @returns {Promise<Object>} yaml module
+ */
+async function importYaml() {
+  try {
+    return await import('yaml');
+  } catch {
+    throw new ConfigError("YAML config files require the yaml package: npm install yaml");
+  }
+}
+
+/**
+ * Converts a raw flag/env/file value to the option's type
+ * @param {*} value - Raw value
+ * @param {string} type - Option type
+ * @returns {*} Typed value
+ */
+function coerce(value, type) {
+  switch (type) {
+    case 'list':
+      if (Array.isArray(value)) return value.map(String);
+      return String(value).split(',').map(item => item.trim()).filter(Boolean);
+    case 'number': {
+      const number = Number(value);
+      if (Number.isNaN(number)) throw new Error(`expected a number, got "${value}"`);
+      return number;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (['true', '1', 'yes'].includes(String(value).toLowerCase())) return true;
+      if (['false', '0', 'no'].includes(String(value).toLowerCase())) return false;
+      throw new Error(`expected true or false, got "${value}"`);
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * @param {number} value
+ * @returns {string|null} Error message unless value is a positive whole number
+ */
+function positiveInteger(value) {
+  return Number.isInteger(value) && value > 0 ? null : 'must be a positive whole number';
+}
@@ -0,0 +1,226 @@
+/**
+ * Batched Executor
+ * ================
+ *
+ * Runs per-record Convex work in batches with a bounded number of requests
+ * in flight, and retries transient failures.
+ *
+ * Concurrency
+ * -----------
+ * batches() groups a cursor or array into arrays of `batchSize` records and
+ * map() processes one batch with at most `concurrency` workers running at
+ * once. Scripts checkpoint between batches, so a resumed run never skips a
+ * record that was still in flight.
+ *
+ * Retries
+ * -------
+ * wrapClient() returns a Convex client whose calls are retried with
+ * exponential backoff and jitter when the failure is transient (network
+ * errors, timeouts, overloaded or 5xx/429 responses, optimistic concurrency
+ * conflicts). Anything else, such as argument validation errors or errors
+ * thrown by the Convex function itself, fails immediately.
+ *
+ * Queries are always safe to retry. A mutation whose request failed midway
+ * (connection reset, timeout, 502/504) may already have been applied, so
+ * mutations are only retried on failures that guarantee they were not
+ * (connection refused, 429/503, overloaded, conflicts), unless the caller
+ * marks them idempotent: mutation(name, args, { idempotent: true }) for
+ * updates that write the same values when applied twice. Creates are never
+ * marked, so a retry cannot create a duplicate.
+ *
+ * Mutations are sent with skipQueue, since ConvexHttpClient otherwise runs
+ * them one at a time and --concurrency would not apply to writes.
+ */
+
+import { logger } from './logger.js';
+
+const TRANSIENT_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT'
+]);
+
+// Failures where the request never reached the server or was refused before running
+const NOT_APPLIED_CODES = new Set(['ECONNREFUSED', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT']);
+
+const TRANSIENT_STATUSES = new Set([429, 500, 502, 503, 504]);
+const NOT_APPLIED_STATUSES = new Set([429, 503]);
+
+const TRANSIENT_MESSAGE = /fetch failed|socket hang up|network|timed? ?out|overloaded|too many requests|rate limit|service unavailable|bad gateway|OptimisticConcurrencyControlFailure|InternalServerError/i;
+
+// Convex rolls back a mutation that failed on the server, and refuses overloaded requests before running them
+const NOT_APPLIED_MESSAGE = /overloaded|too many requests|rate limit|service unavailable|OptimisticConcurrencyControlFailure|InternalServerError/i;
+
+const PERMANENT_MESSAGE = /ArgumentValidationError|Validator error|does not match validator|Could not find public function|Unauthenticated/i;
+
+/**
+ * Decides whether a failed Convex call is worth retrying
+ * @param {Error} error - Error thrown by the Convex client
+ * @returns {boolean} True for network-level and server-side transient failures
+ */
+export function isTransientError(error) {
+  if (!error) return false;
+  // Errors thrown deliberately by Convex functions are application errors
+  if (error.name === 'ConvexError') return false;
+
+  const message = String(error.message ?? error);
+  if (PERMANENT_MESSAGE.test(message)) return false;
+
+  const status = statusOf(error);
+  if (status) return TRANSIENT_STATUSES.has(status);
+
+  const code = error.code ?? error.cause?.code;
+  if (code && TRANSIENT_CODES.has(code)) return true;
+
+  return TRANSIENT_MESSAGE.test(message) || TRANSIENT_MESSAGE.test(String(error.cause?.message ?? ''));
+}
+
+/**
+ * Decides whether a transient failure guarantees a mutation was not applied
+ * @param {Error} error - Error for which isTransientError() is true
+ * @returns {boolean} True if retrying cannot apply the mutation twice
+ */
+export function isNotApplied(error) {
+  const status = statusOf(error);
+  if (status) return NOT_APPLIED_STATUSES.has(status);
+
+  const code = error.code ?? error.cause?.code;
+  if (code) return NOT_APPLIED_CODES.has(code);
+
+  return NOT_APPLIED_MESSAGE.test(String(error.message ?? error)) || NOT_APPLIED_MESSAGE.test(String(error.cause?.message ?? ''));
+}
+
+/**
+ * @param {Error} error - Failed call
+ * @returns {number|null} HTTP status of the failed response, if known
+ */
+function statusOf(error) {
+  return error.status ?? error.statusCode ?? error.response?.status ?? null;
+}
+
+export class Executor {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.concurrency] - Maximum requests in flight
+   * @param {number} [options.batchSize] - Records per batch
+   * @param {number} [options.retries] - Retries after the first attempt
+   * @param {number} [options.baseDelayMs] - Backoff delay before the first retry
+   * @param {number} [options.maxDelayMs] - Upper bound for a single backoff delay
+   */
+  constructor({ concurrency = 4, batchSize = 100, retries = 5, baseDelayMs = 500, maxDelayMs = 30000 } = {}) {
+    this.concurrency = concurrency;
+    this.batchSize = batchSize;
+    this.retries = retries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+  }
+
+  /**
+   * Creates an executor from the loaded config
+   * @param {Object} config - Config from loadConfig()
+   * @returns {Executor} Executor
+   */
+  static fromConfig(config) {
+    return new Executor({
+      concurrency: config.concurrency,
+      batchSize: config.batchSize,
+      retries: config.maxRetries,
+      baseDelayMs: config.retryBaseDelayMs
+    });
+  }
+
+  /**
+   * Groups records into batches
+   * @param {AsyncIterable|Iterable} source - MongoDB cursor or array
+   * @yields {Array} Up to batchSize records
+   */
+  async *batches(source) {
+    let batch = [];
+    for await (const item of source) {
+      batch.push(item);
+      if (batch.length >= this.batchSize) {
+        yield batch;
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      yield batch;
+    }
+  }
+
+  /**
+   * Runs a worker over items with bounded concurrency
+   * Worker failures are returned rather than thrown so one record cannot
+   * abort the rest of the batch.
+   * @param {Array} items - Items to process
+   * @param {Function} worker - Async function called with (item, index)
+   * @returns {Promise<Array<{status: string, value?: *, reason?: Error}>>} Results in input order, shaped like Promise.allSettled
+   */
+  async map(items, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const run = async () => {
+      while (next < items.length) {
+        const index = next++;
+        try {
+          results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+        } catch (error) {
+          results[index] = { status: 'rejected', reason: error };
+        }
+      }
+    };
+
+    const workers = Array.from({ length: Math.min(this.concurrency, items.length) }, run);
+    await Promise.all(workers);
+    return results;
+  }
+
+  /**
+   * Calls fn, retrying transient failures with exponential backoff and jitter
+   * @param {Function} fn - Async function to call
+   * @param {string} label - Description used in retry log lines
+   * @param {Function} [retryable] - Further check a transient error must pass to be retried
+   * @returns {Promise<*>} fn's result
+   */
+  async retry(fn, label, retryable = () => true) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        if (attempt >= this.retries || !isTransientError(error) || !retryable(error)) {
+          throw error;
+        }
+
+        // Equal jitter: half the exponential delay plus a random share of the other half
+        const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+        const delay = Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+        logger.warn(`Transient error on ${label} (attempt ${attempt + 1}/${this.retries + 1}): ${error.message}. Retrying in ${delay}ms...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Wraps a ConvexHttpClient so every call goes through retry()
+   * Mutations and actions are only retried when they cannot have been
+   * applied, unless they are marked idempotent.
+   * @param {ConvexHttpClient} client - Convex client
+   * @returns {Object} Client with the same query/mutation/action/setAuth methods,
+   *   mutation and action taking { idempotent } as a third argument
+   */
+  wrapClient(client) {
+    const retryable = ({ idempotent = false } = {}) => error => idempotent || isNotApplied(error);
+    return {
+      setAuth: token => client.setAuth(token),
+      query: (name, args) => this.retry(() => client.query(name, args), name),
+      mutation: (name, args, options) => this.retry(() => client.mutation(name, args, { skipQueue: true }), name, retryable(options)),
+      action: (name, args, options) => this.retry(() => client.action(name, args), name, retryable(options))
+    };
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * File Helpers
+ * ============
+ *
+ * JSON persistence shared by the registry, checkpoint and sync state files.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Reads a JSON file
+ * @param {string} filePath - File to read
+ * @param {string} label - What the file is, used in error messages
+ * @returns {Object|null} Parsed contents, or null if the file does not exist
+ */
+export function readJsonFile(filePath, label) {
+  if (!fs.existsSync(filePath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${label} ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Writes a JSON file through a temporary file and a rename, so a crash
+ * mid-write leaves the previous contents intact
+ * @param {string} filePath - File to write
+ * @param {*} data - JSON-serializable contents
+ */
+export function writeJsonAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
@@ -0,0 +1,113 @@
+/**
+ * Geocode Cache
+ * =============
+ *
+ * Persists geocoding results in a local JSON file so an address is only sent
+ * to a paid provider once, across properties and across runs.
+ *
+ * File Format
+ * -----------
+ * {
+ *   "addresses":  { "123 main st, springfield, il 62701": { "location": {...}, "provider": "google", "candidates": [...], "geocodedAt": "..." } },
+ *   "properties": { "j97...": "123 main st, springfield, il 62701" }
+ * }
+ *
+ * `addresses` is keyed on the normalized address string. `properties` holds
+ * the address each property was last geocoded with, so a later run can tell
+ * whether a property's address changed since its location was written.
+ *
+ * Each address keeps the scored candidates of the provider that answered, so
+ * a cached result is judged against the current GEOCODE_MIN_CONFIDENCE
+ * rather than the one it was geocoded with.
+ *
+ * Only successful results are cached; addresses without a result are tried
+ * again on the next run. Like the ID registry, changes are kept in memory
+ * until flush(), called once per batch and at the end of a run, and written
+ * through a temporary file and a rename.
+ */
+
+import { readJsonFile, writeJsonAtomic } from './files.js';
+import { formatAddress } from './address.js';
+
+export class GeocodeCache {
+  /**
+   * @param {string} filePath - Cache file location
+   * @param {Object} [data] - Saved addresses and properties
+   */
+  constructor(filePath, data = {}) {
+    this.filePath = filePath;
+    this.data = { addresses: {}, properties: {}, ...data };
+    this.dirty = false;
+  }
+
+  /**
+   * Loads the cache from disk, starting empty if the file does not exist
+   * @param {string} filePath - Cache file location
+   * @returns {GeocodeCache} Loaded cache
+   */
+  static load(filePath) {
+    return new GeocodeCache(filePath, readJsonFile(filePath, 'geocode cache') ?? {});
+  }
+
+  /**
+   * Cache key for an address: the normalized address line in lower case, so
+   * "123 Main Street" and "123 main st" share an entry
+   * @param {Object} address - Property address object
+   * @returns {string} Normalized address string
+   */
+  static key(address) {
+    return formatAddress(address).toLowerCase();
+  }
+
+  /**
+   * @param {string} key - Normalized address from GeocodeCache.key()
+   * @returns {{provider: string, candidates: Object[]}|null} Cached candidates, best first
+   */
+  get(key) {
+    const entry = this.data.addresses[key];
+    return entry ? { provider: entry.provider, candidates: entry.candidates } : null;
+  }
+
+  /**
+   * Caches a geocoding result
+   * @param {string} key - Normalized address
+   * @param {{location: Object, provider: string, candidates: Object[]}} result - Result from GeocoderChain.geocode()
+   */
+  set(key, { location, provider, candidates }) {
+    this.data.addresses[key] = { location, provider, candidates, geocodedAt: new Date().toISOString() };
+    this.dirty = true;
+  }
+
+  /**
+   * Records the address a property's location was written for
+   * @param {string} propertyId - Convex property ID
+   * @param {string} key - Normalized address
+   */
+  setPropertyAddress(propertyId, key) {
+    if (this.data.properties[propertyId] === key) return;
+
+    this.data.properties[propertyId] = key;
+    this.dirty = true;
+  }
+
+  /**
+   * Checks whether a property's address differs from the one it was last
+   * geocoded with
+   * @param {string} propertyId - Convex property ID
+   * @param {string} key - Current normalized address
+   * @returns {boolean} True only if an earlier run geocoded a different address
+   */
+  addressChanged(propertyId, key) {
+    const previous = this.data.properties[propertyId];
+    return previous !== undefined && previous !== key;
+  }
+
+  /**
+   * Writes the cache to disk atomically if it changed since the last flush
+   */
+  flush() {
+    if (!this.dirty) return;
+    writeJsonAtomic(this.filePath, this.data);
+    this.dirty = false;
+  }
+}
@@ -0,0 +1,234 @@
+/**
+ * Geocode Review Queue
+ * ====================
+ *
+ * Holds geocoding results that are not good enough to write unattended:
+ * results below GEOCODE_MIN_CONFIDENCE (--min-confidence) and results whose
+ * best candidates point at different places. The properties migration adds
+ * them to GEOCODE_REVIEW_FILE (--review-file, default geocode-review.json)
+ * instead of calling properties:updateProperty.
+ *
+ * File Format
+ * -----------
+ * {
+ *   "j97...": {
+ *     "propertyId": "j97...",
+ *     "orgId": "k12...",
+ *     "address": "123 Main St, Springfield, IL 62701",
+ *     "addressKey": "123 main st, springfield, il 62701",
+ *     "reason": "confidence 0.30 below 0.7",
+ *     "previousLocation": null,
+ *     "candidates": [{ "location": {...}, "confidence": 0.3, "formattedAddress": "...", "provider": "google" }],
+ *     "choice": null,
+ *     "queuedAt": "..."
+ *   }
+ * }
+ *
+ * To review, set `choice` to one of
+ * - the index of the candidate to use, e.g. 0
+ * - { "lng": -89.65, "lat": 39.78 } for coordinates looked up by hand
+ * - "skip" to leave the property without a new location; later runs skip it
+ *   too until its address changes
+ *
+ * and run `node cli.js apply-review`. Applied properties are removed from the
+ * queue. Queueing a property again keeps its choice as long as its address
+ * is unchanged.
+ *
+ * Applying writes a journal and a run report like a migration run, so the
+ * applied coordinates can be undone with `node cli.js rollback <runId>`.
+ *
+ * Like the geocode cache, changes are kept in memory until flush(), called
+ * once per batch and at the end of a run.
+ */
+
+import { ConvexHttpClient } from 'convex/browser';
+import { requireConfig } from './config.js';
+import { readJsonFile, writeJsonAtomic } from './files.js';
+import { GeocodeCache } from './geocodeCache.js';
+import { formatAddress } from './address.js';
+import { MigrationPlan, diffFields } from './plan.js';
+import { Executor } from './executor.js';
+import { RunJournal } from './journal.js';
+import { RunReport } from './report.js';
+import { logger } from './logger.js';
+
+export class GeocodeReview {
+  /**
+   * @param {string} filePath - Review file location
+   * @param {Object} [entries] - Queued entries keyed by property ID
+   */
+  constructor(filePath, entries = {}) {
+    this.filePath = filePath;
+    this.entries = entries;
+    this.dirty = false;
+  }
+
+  /**
+   * Loads the queue from disk, starting empty if the file does not exist
+   * @param {string} filePath - Review file location
+   * @returns {GeocodeReview} Loaded queue
+   */
+  static load(filePath) {
+    return new GeocodeReview(filePath, readJsonFile(filePath, 'geocode review file') ?? {});
+  }
+
+  /**
+   * @returns {number} Queued properties
+   */
+  get size() {
+    return Object.keys(this.entries).length;
+  }
+
+  /**
+   * @param {string} propertyId - Convex property ID
+   * @returns {Object|null} Queued entry
+   */
+  get(propertyId) {
+    return this.entries[propertyId] ?? null;
+  }
+
+  /**
+   * Checks whether a reviewer chose to skip a property at its current address
+   * @param {string} propertyId - Convex property ID
+   * @param {string} addressKey - Current normalized address
+   * @returns {boolean} True if the property should be left alone
+   */
+  skipped(propertyId, addressKey) {
+    const entry = this.get(propertyId);
+    return entry?.choice === 'skip' && entry.addressKey === addressKey;
+  }
+
+  /**
+   * Queues a property for review
+   * @param {Object} property - Convex property document
+   * @param {string} addressKey - Normalized address from GeocodeCache.key()
+   * @param {Object} result - Unaccepted result from GeocoderChain
+   */
+  add(property, addressKey, { reason, candidates }) {
+    const existing = this.get(property._id);
+    this.entries[property._id] = {
+      propertyId: property._id,
+      orgId: property.orgId,
+      address: formatAddress(property.address),
+      addressKey,
+      reason,
+      previousLocation: property.location ?? null,
+      candidates,
+      // A choice made for this address survives requeueing
+      choice: existing?.addressKey === addressKey ? existing.choice : null,
+      queuedAt: new Date().toISOString()
+    };
+    this.dirty = true;
+  }
+
+  /**
+   * @param {string} propertyId - Convex property ID
+   */
+  remove(propertyId) {
+    delete this.entries[propertyId];
+    this.dirty = true;
+  }
+
+  /**
+   * Writes the queue to disk atomically if it changed since the last flush
+   */
+  flush() {
+    if (!this.dirty) return;
+    writeJsonAtomic(this.filePath, this.entries);
+    this.dirty = false;
+  }
+}
+
+/**
+ * Writes the coordinates chosen in the review file to Convex
+ * @param {Object} config - Config from loadConfig()
+ */
+export async function applyReview(config) {
+  requireConfig(config, ['convexUrl', 'authToken']);
+
+  const review = GeocodeReview.load(config.reviewFile);
+  const decided = Object.values(review.entries).filter(entry => entry.choice !== null && entry.choice !== 'skip');
+  logger.info(`${decided.length} of ${review.size} queued properties have a choice to apply`);
+
+  const executor = Executor.fromConfig(config);
+  const convexClient = executor.wrapClient(new ConvexHttpClient(config.convexUrl));
+  convexClient.setAuth(config.authToken);
+
+  const report = new RunReport('geocode-review');
+  const context = {
+    config,
+    convexClient,
+    review,
+    plan: new MigrationPlan(),
+    journal: new RunJournal(config.journalDir, report.runId),
+    geocodeCache: GeocodeCache.load(config.geocodeCacheFile)
+  };
+
+  try {
+    await executor.map(decided, entry =>
+      report.track('property', entry.propertyId, () => applyChoice(entry, context))
+    );
+  } finally {
+    context.geocodeCache.flush();
+    review.flush();
+  }
+
+  if (config.dryRun) {
+    context.plan.print();
+    if (config.planFile) context.plan.write(config.planFile);
+  } else if (decided.length > 0) {
+    logger.info(`Undo this run with: node cli.js rollback ${report.runId}`);
+  }
+
+  report.logSummary();
+  report.write(config.reportDir, config.reportFormats);
+}
+
+/**
+ * Writes one reviewed choice
+ * @param {Object} entry - Review entry with a choice
+ * @param {Object} context - Shared state (config, convexClient, review, plan, journal, geocodeCache)
+ * @returns {Promise<{action: string, targetId?: string, error?: string}>} Outcome for the run report
+ */
+async function applyChoice(entry, { config, convexClient, review, plan, journal, geocodeCache }) {
+  const location = chosenLocation(entry);
+  if (!location) {
+    return { action: 'failed', targetId: entry.propertyId, error: `invalid choice ${JSON.stringify(entry.choice)}` };
+  }
+
+  if (config.dryRun) {
+    plan.add({
+      type: 'property',
+      id: entry.propertyId,
+      action: 'update',
+      changes: diffFields({ location: entry.previousLocation ?? undefined }, { location })
+    });
+    return { action: 'planned', targetId: entry.propertyId };
+  }
+
+  await convexClient.mutation('properties:updateProperty', {
+    id: entry.propertyId,
+    orgId: entry.orgId,
+    location
+  }, { idempotent: true });
+  journal.updated('properties', entry.propertyId, { orgId: entry.orgId, location: entry.previousLocation ?? undefined });
+  geocodeCache.setPropertyAddress(entry.propertyId, entry.addressKey);
+  review.remove(entry.propertyId);
+
+  logger.info(`✓ Applied [${location.coordinates[0]}, ${location.coordinates[1]}] to property ${entry.propertyId}`);
+  return { action: 'updated', targetId: entry.propertyId };
+}
+
+/**
+ * @param {Object} entry - Review entry
+ * @returns {Object|null} GeoJSON point for the entry's choice, or null if the choice is invalid
+ */
+function chosenLocation({ choice, candidates }) {
+  if (Number.isInteger(choice)) {
+    return candidates[choice]?.location ?? null;
+  }
+  if (Number.isFinite(choice?.lng) && Number.isFinite(choice?.lat)) {
+    return { coordinates: [choice.lng, choice.lat], type: "Point" };
+  }
+  return null;
+}
@@ -0,0 +1,468 @@
+/**
+ * Geocoders
+ * =========
+ *
+ * Turns a property address into a GeoJSON point. Every provider implements
+ * the same interface:
+ *
+ *   { name, geocode(address) } -> Promise<Candidate[]>
+ *   Candidate: { location: { type: 'Point', coordinates: [lng, lat] }, confidence, formattedAddress }
+ *
+ * geocode() resolves to the provider's best candidates, best first, or an
+ * empty array when it has no result for the address, and throws on request
+ * failures.
+ *
+ * Confidence
+ * ----------
+ * Each candidate is scored from 0 to 1 by how precisely it matches the
+ * address, so a street address that only matched its city is not written as
+ * an exact location:
+ * - google:    location_type ROOFTOP 1, RANGE_INTERPOLATED 0.8,
+ *              GEOMETRIC_CENTER 0.5, APPROXIMATE 0.3; partial matches x0.7
+ * - nominatim: place_rank 30 (house) 0.9, 26-29 (street) 0.6, else 0.3
+ * - mapbox:    relevance x1 for addresses, x0.6 for streets/POIs, x0.3 else
+ * - centroid:  0.3, a ZIP centroid is never more than an approximation
+ * - mock:      1
+ *
+ * A result is ambiguous when the runner-up candidate scores within
+ * AMBIGUITY_MARGIN of the best one but lies more than AMBIGUITY_DISTANCE_M
+ * metres away from it.
+ *
+ * Providers
+ * ---------
+ * - google:    Google Geocoding API, needs GOOGLE_API_KEY
+ * - nominatim: OpenStreetMap Nominatim, NOMINATIM_URL defaults to the public
+ *              instance (max. one request per second)
+ * - mapbox:    Mapbox Geocoding API, needs MAPBOX_TOKEN
+ * - centroid:  Offline ZIP code centroids from a CSV file (CENTROID_FILE)
+ *              with zip, lat and lng columns
+ * - mock:      Deterministic coordinates derived from the address, for tests
+ *              and dry runs without network access
+ *
+ * Rate Limits
+ * -----------
+ * Requests to each network provider go through a token bucket
+ * (lib/rateLimiter.js) set to the provider's quota: google 50, nominatim 1
+ * and mapbox 10 requests per second, or GEOCODE_RATE (--geocode-rate) for
+ * every network provider. The offline centroid and mock providers are not
+ * limited. A provider that answers OVER_QUERY_LIMIT or HTTP 429 is
+ * slowed down and asked again, up to MAX_RETRIES (--max-retries) times,
+ * before the chain moves on to the next provider.
+ *
+ * GEOCODERS (--geocoders) lists the providers to use in order. The first is
+ * the main provider; the others are only asked when every provider before
+ * them had no result, failed, or had no result that reaches
+ * GEOCODE_MIN_CONFIDENCE (--min-confidence) without being ambiguous.
+ */
+
+import fs from 'node:fs';
+import axios from 'axios';
+import { ConfigError } from './config.js';
+import { formatAddress, normalizeZip } from './address.js';
+import { RateLimiter } from './rateLimiter.js';
+import { logger } from './logger.js';
+
+const PROVIDERS = {
+  google: config => new GoogleGeocoder(config),
+  nominatim: config => new NominatimGeocoder(config),
+  mapbox: config => new MapboxGeocoder(config),
+  centroid: config => new CentroidGeocoder(config),
+  mock: () => new MockGeocoder()
+};
+
+export const GEOCODER_NAMES = Object.keys(PROVIDERS);
+
+// Candidates returned per provider, and kept for review
+const MAX_CANDIDATES = 3;
+
+const AMBIGUITY_MARGIN = 0.1;
+const AMBIGUITY_DISTANCE_M = 250;
+const EARTH_RADIUS_M = 6371000;
+
+// Google statuses that mean the request itself is wrong, e.g. a bad API key
+const GOOGLE_REQUEST_ERRORS = ['REQUEST_DENIED', 'INVALID_REQUEST'];
+
+/**
+ * Thrown by providers when the request was refused because of the quota
+ */
+export class RateLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RateLimitError';
+  }
+}
+
+const GOOGLE_LOCATION_TYPES = {
+  ROOFTOP: 1,
+  RANGE_INTERPOLATED: 0.8,
+  GEOMETRIC_CENTER: 0.5,
+  APPROXIMATE: 0.3
+};
+
+/**
+ * Builds a GeoJSON point
+ * @param {number|string} lng - Longitude
+ * @param {number|string} lat - Latitude
+ * @returns {{type: string, coordinates: number[]}} Location
+ */
+function point(lng, lat) {
+  return { coordinates: [Number(lng), Number(lat)], type: "Point" };
+}
+
+/**
+ * Great-circle (haversine) distance between two points
+ * @param {Object} a - GeoJSON point
+ * @param {Object} b - GeoJSON point
+ * @returns {number} Distance in metres
+ */
+function distance(a, b) {
+  const [lng1, lat1] = a.coordinates.map(toRadians);
+  const [lng2, lat2] = b.coordinates.map(toRadians);
+  const h = Math.sin((lat2 - lat1) / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin((lng2 - lng1) / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Angle in radians
+ */
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+/**
+ * @param {Object[]} candidates - Candidates in any order
+ * @returns {Object[]} The best MAX_CANDIDATES, best first
+ */
+function best(candidates) {
+  return [...candidates].sort((a, b) => b.confidence - a.confidence).slice(0, MAX_CANDIDATES);
+}
+
+class GoogleGeocoder {
+  /**
+   * @param {Object} config - Config from loadConfig()
+   */
+  constructor(config) {
+    if (!config.googleApiKey) {
+      throw new ConfigError("The google geocoder needs --google-api-key or GOOGLE_API_KEY");
+    }
+    this.name = 'google';
+    this.rate = 50;
+    this.apiKey = config.googleApiKey;
+  }
+
+  async geocode(address) {
+    const response = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
+      params: { address: formatAddress(address), key: this.apiKey }
+    });
+
+    // Google reports an exceeded quota with HTTP 200
+    if (response.data.status === 'OVER_QUERY_LIMIT') {
+      throw new RateLimitError(response.data.error_message ?? 'OVER_QUERY_LIMIT');
+    }
+    // ... and a refused key as well, which must not pass for "no result"
+    if (GOOGLE_REQUEST_ERRORS.includes(response.data.status)) {
+      throw new Error(`Google geocoding ${response.data.status}: ${response.data.error_message ?? 'request refused'}`);
+    }
+
+    return best((response.data.results ?? []).map(result => ({
+      location: point(result.geometry.location.lng, result.geometry.location.lat),
+      confidence: (GOOGLE_LOCATION_TYPES[result.geometry.location_type] ?? 0.3) * (result.partial_match ? 0.7 : 1),
+      formattedAddress: result.formatted_address
+    })));
+  }
+}
+
+class NominatimGeocoder {
+  /**
+   * @param {Object} config - Config from loadConfig()
+   */
+  constructor(config) {
+    this.name = 'nominatim';
+    this.rate = 1;
+    this.url = config.nominatimUrl.replace(/\/$/, '');
+  }
+
+  async geocode(address) {
+    const response = await axios.get(`${this.url}/search`, {
+      params: { q: formatAddress(address), format: 'jsonv2', limit: MAX_CANDIDATES },
+      // Nominatim's usage policy requires an identifying User-Agent
+      headers: { 'User-Agent': 'merge-convex' }
+    });
+
+    return best((response.data ?? []).map(result => ({
+      location: point(result.lon, result.lat),
+      confidence: result.place_rank >= 30 ? 0.9 : result.place_rank >= 26 ? 0.6 : 0.3,
+      formattedAddress: result.display_name
+    })));
+  }
+}
+
+class MapboxGeocoder {
+  /**
+   * @param {Object} config - Config from loadConfig()
+   */
+  constructor(config) {
+    if (!config.mapboxToken) {
+      throw new ConfigError("The mapbox geocoder needs --mapbox-token or MAPBOX_TOKEN");
+    }
+    this.name = 'mapbox';
+    this.rate = 10;
+    this.token = config.mapboxToken;
+  }
+
+  async geocode(address) {
+    const query = encodeURIComponent(formatAddress(address));
+    const response = await axios.get(`https://api.mapbox.com/geocoding/v5/mapbox.places/${query}.json`, {
+      params: { access_token: this.token, limit: MAX_CANDIDATES }
+    });
+
+    return best((response.data.features ?? []).map(feature => {
+      const [placeType] = feature.place_type ?? [];
+      const precision = placeType === 'address' ? 1 : ['street', 'poi'].includes(placeType) ? 0.6 : 0.3;
+      return {
+        location: point(feature.center[0], feature.center[1]),
+        confidence: (feature.relevance ?? 1) * precision,
+        formattedAddress: feature.place_name
+      };
+    }));
+  }
+}
+
+class CentroidGeocoder {
+  /**
+   * Loads the centroid file up front so a bad file fails before any property
+   * @param {Object} config - Config from loadConfig()
+   */
+  constructor(config) {
+    if (!config.centroidFile) {
+      throw new ConfigError("The centroid geocoder needs --centroid-file or CENTROID_FILE");
+    }
+    this.name = 'centroid';
+    this.centroids = readCentroids(config.centroidFile);
+    logger.info(`Loaded ${this.centroids.size} ZIP centroids from ${config.centroidFile}`);
+  }
+
+  async geocode(address) {
+    const zip = zip5(address.zip);
+    const location = zip ? this.centroids.get(zip) : null;
+    return location ? [{ location, confidence: 0.3, formattedAddress: `ZIP ${zip}` }] : [];
+  }
+}
+
+class MockGeocoder {
+  constructor() {
+    this.name = 'mock';
+  }
+
+  /**
+   * Hashes the address into a point inside the contiguous United States, so
+   * the same address always gets the same coordinates
+   */
+  async geocode(address) {
+    const hash = fnv1a(formatAddress(address).toLowerCase());
+    const lng = -124 + (hash % 58000) / 1000;
+    const lat = 25 + (Math.floor(hash / 58000) % 24000) / 1000;
+    return [{ location: point(lng.toFixed(6), lat.toFixed(6)), confidence: 1, formattedAddress: formatAddress(address) }];
+  }
+}
+
+/**
+ * Reads a ZIP centroid CSV
+ * The header must name a zip column and lat/lng (or latitude/longitude)
+ * columns; other columns are ignored. Values must not contain commas.
+ * @param {string} filePath - CSV file
+ * @returns {Map<string, Object>} Location by 5 digit ZIP code
+ * @throws {ConfigError} If the file cannot be read, is empty or lacks the columns
+ */
+function readCentroids(filePath) {
+  let contents;
+  try {
+    contents = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new ConfigError(`Could not read centroid file ${filePath}: ${error.message}`);
+  }
+
+  const [header, ...lines] = contents.split(/\r?\n/).filter(line => line.trim());
+  if (!header) {
+    throw new ConfigError(`Centroid file ${filePath} is empty`);
+  }
+  const columns = header.split(',').map(column => column.trim().toLowerCase());
+  const zipIndex = columns.indexOf('zip');
+  const latIndex = columns.findIndex(column => ['lat', 'latitude'].includes(column));
+  const lngIndex = columns.findIndex(column => ['lng', 'lon', 'longitude'].includes(column));
+  if (zipIndex < 0 || latIndex < 0 || lngIndex < 0) {
+    throw new ConfigError(`Centroid file ${filePath} needs zip, lat and lng columns`);
+  }
+
+  const centroids = new Map();
+  for (const line of lines) {
+    const values = line.split(',').map(value => value.trim());
+    const zip = zip5(values[zipIndex]);
+    if (zip && values[latIndex] && values[lngIndex]) {
+      centroids.set(zip, point(values[lngIndex], values[latIndex]));
+    }
+  }
+  return centroids;
+}
+
+/**
+ * @param {string|number} zip - ZIP or ZIP+4 code, possibly without leading zeros
+ * @returns {string|null} 5 digit ZIP code
+ */
+function zip5(zip) {
+  const normalized = normalizeZip(zip)?.slice(0, 5);
+  return /^\d{5}$/.test(normalized) ? normalized : null;
+}
+
+/**
+ * @param {string} value - String to hash
+ * @returns {number} 32 bit FNV-1a hash
+ */
+function fnv1a(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Geocodes with the configured providers in fallback order
+ */
+export class GeocoderChain {
+  /**
+   * @param {Object[]} geocoders - Providers in the order they are asked
+   * @param {number} [minConfidence] - Confidence a result needs to be accepted
+   */
+  constructor(geocoders, { minConfidence = 0, rate, retries = 5 } = {}) {
+    this.geocoders = geocoders;
+    this.minConfidence = minConfidence;
+    this.retries = retries;
+    // Offline providers (no rate) are not limited, GEOCODE_RATE only
+    // overrides the quota of network providers
+    this.limiters = new Map(geocoders
+      .filter(geocoder => geocoder.rate)
+      .map(geocoder => [geocoder.name, new RateLimiter(geocoder.name, rate ?? geocoder.rate)]));
+  }
+
+  /**
+   * Creates the providers listed in GEOCODERS
+   * @param {Object} config - Config from loadConfig()
+   * @returns {GeocoderChain} Chain of providers
+   * @throws {ConfigError} If a provider is unknown or misses its settings
+   */
+  static fromConfig(config) {
+    const unknown = config.geocoders.filter(name => !PROVIDERS[name]);
+    if (unknown.length > 0) {
+      throw new ConfigError(`Unknown geocoders: ${unknown.join(', ')} (available: ${GEOCODER_NAMES.join(', ')})`);
+    }
+    return new GeocoderChain(config.geocoders.map(name => PROVIDERS[name](config)), {
+      minConfidence: config.minConfidence,
+      rate: config.geocodeRate,
+      retries: config.maxRetries
+    });
+  }
+
+  /**
+   * Asks each provider in turn until one has a confident, unambiguous result
+   * Failing providers are logged and treated like providers without a
+   * result. When no provider is confident, the best result overall is
+   * returned with `accepted: false` so the caller can queue it for review.
+   * @param {Object} address - Property address object
+   * @returns {Promise<Object|null>} { location, confidence, provider, accepted, reason, candidates }, or null without any result
+   */
+  async geocode(address) {
+    let fallback = null;
+
+    for (const geocoder of this.geocoders) {
+      let candidates;
+      try {
+        candidates = await this.request(geocoder, address);
+      } catch (error) {
+        logger.error(`Error geocoding address with ${geocoder.name}:`, error.message);
+        continue;
+      }
+
+      if (candidates.length === 0) {
+        logger.debug(`No ${geocoder.name} result for ${formatAddress(address)}`);
+        continue;
+      }
+
+      const result = this.score(geocoder.name, candidates);
+      if (result.accepted) {
+        return result;
+      }
+      logger.debug(`${geocoder.name} result for ${formatAddress(address)} not accepted: ${result.reason}`);
+      if (!fallback || result.confidence > fallback.confidence) {
+        fallback = result;
+      }
+    }
+
+    return fallback;
+  }
+
+  /**
+   * Calls a provider within its rate limit
+   * Rate limited requests slow the provider down and are sent again.
+   * @param {Object} geocoder - Provider
+   * @param {Object} address - Property address object
+   * @returns {Promise<Object[]>} The provider's candidates
+   * @throws {Error} If the request fails, or is still rate limited after all retries
+   */
+  async request(geocoder, address) {
+    const limiter = this.limiters.get(geocoder.name);
+
+    for (let attempt = 0; ; attempt++) {
+      await limiter?.acquire();
+      try {
+        const candidates = await geocoder.geocode(address);
+        limiter?.succeeded();
+        return candidates;
+      } catch (error) {
+        if (!isRateLimited(error) || attempt >= this.retries) {
+          throw error;
+        }
+        limiter?.throttle();
+      }
+    }
+  }
+
+  /**
+   * Decides whether a provider's best candidate can be written as is
+   * @param {string} provider - Provider name
+   * @param {Object[]} candidates - Candidates, best first
+   * @returns {Object} Result with the best candidate's location and confidence
+   */
+  score(provider, candidates) {
+    const [top, runnerUp] = candidates;
+    const ambiguous = runnerUp
+      && runnerUp.confidence >= top.confidence - AMBIGUITY_MARGIN
+      && distance(runnerUp.location, top.location) > AMBIGUITY_DISTANCE_M;
+
+    let reason = null;
+    if (top.confidence < this.minConfidence) {
+      reason = `confidence ${top.confidence.toFixed(2)} below ${this.minConfidence}`;
+    } else if (ambiguous) {
+      reason = `ambiguous, ${candidates.length} similar candidates`;
+    }
+
+    return {
+      location: top.location,
+      confidence: top.confidence,
+      provider,
+      accepted: reason === null,
+      reason,
+      candidates: candidates.map(candidate => ({ ...candidate, provider }))
+    };
+  }
+}
+
+/**
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean} True if the provider refused the request because of its quota
+ */
+function isRateLimited(error) {
+  return error instanceof RateLimitError || error.response?.status === 429;
+}
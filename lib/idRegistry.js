@@ -0,0 +1,105 @@
+/**
+ * Mongo-to-Convex ID Registry
+ * ===========================
+ *
+ * Persists `mongoId -> Convex _id` mappings in a local JSON file so the
+ * scripts can resolve references created by earlier runs instead of relying
+ * on hand-maintained lookup tables.
+ *
+ * File Format
+ * -----------
+ * {
+ *   "orgs":  { "628bff8d44cd3e01b746b737": "nd73x7djt7ez0zmyp49n6t0x3h6ztghc" },
+ *   "users": { "628c069244cd3e01b746bb27": "jx7fccjdbh0tkk4d8sm5gkk55572ckx7" },
+ *   "tags":  { ... },
+ *   "files": { "https://cdn.example.com/u/1.jpg": "kg2...", "sha256:9f86...": "kg2..." }
+ * }
+ *
+ * Organizations are not migrated by these scripts, so their mappings must be
+ * added to the file by hand (see id-map.example.json). User and tag mappings
+ * are written automatically by the users and tags migrations, and uploaded
+ * profile images by source URL and content hash (see lib/profileImages.js).
+ *
+ * Changes are kept in memory until flush(), which the runners call once per
+ * batch (before the checkpoint is saved) and at the end of a run. The file
+ * is written through a temporary file and a rename, so an interrupted run
+ * never leaves a truncated registry behind.
+ */
+
+import { readJsonFile, writeJsonAtomic } from './files.js';
+
+export class IdRegistry {
+  /**
+   * @param {string} filePath - Registry file location
+   * @param {Object} [data] - Mappings keyed by kind, then by mongoId
+   */
+  constructor(filePath, data = {}) {
+    this.filePath = filePath;
+    this.data = data;
+    this.dirty = false;
+  }
+
+  /**
+   * Loads a registry from disk, starting empty if the file does not exist
+   * @param {string} filePath - Registry file location
+   * @returns {IdRegistry} Loaded registry
+   */
+  static load(filePath) {
+    return new IdRegistry(filePath, readJsonFile(filePath, 'ID registry') ?? {});
+  }
+
+  /**
+   * Resolves a Convex ID
+   * @param {string} kind - Mapping kind, e.g. 'orgs', 'users', 'tags'
+   * @param {string} mongoId - MongoDB ObjectId as a string
+   * @returns {string|null} Convex ID or null if not mapped
+   */
+  get(kind, mongoId) {
+    if (!mongoId) return null;
+    return this.data[kind]?.[mongoId] ?? null;
+  }
+
+  /**
+   * Records a mapping, persisted by the next flush()
+   * @param {string} kind - Mapping kind
+   * @param {string} mongoId - MongoDB ObjectId as a string
+   * @param {string} convexId - Convex document ID
+   */
+  set(kind, mongoId, convexId) {
+    if (!mongoId || !convexId) return;
+    if (this.data[kind]?.[mongoId] === convexId) return;
+
+    this.data[kind] ??= {};
+    this.data[kind][mongoId] = convexId;
+    this.dirty = true;
+  }
+
+  /**
+   * Removes a mapping, e.g. after the Convex document was rolled back
+   * @param {string} kind - Mapping kind
+   * @param {string} mongoId - MongoDB ObjectId as a string
+   */
+  delete(kind, mongoId) {
+    if (!this.data[kind] || !(mongoId in this.data[kind])) return;
+
+    delete this.data[kind][mongoId];
+    this.dirty = true;
+  }
+
+  /**
+   * @param {string} kind - Mapping kind
+   * @returns {Array<[string, string]>} [mongoId, convexId] pairs
+   */
+  entries(kind) {
+    return Object.entries(this.data[kind] ?? {});
+  }
+
+  /**
+   * Writes the registry to disk atomically if it changed since the last flush
+   */
+  flush() {
+    if (!this.dirty) return;
+    writeJsonAtomic(this.filePath, this.data);
+    this.dirty = false;
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * Run Journal
+ * ===========
+ *
+ * Records every Convex write a run makes so the run can be undone with
+ * `node cli.js rollback <runId>`. Entries are appended to <journalDir>/<runId>.ndjson as they
+ * happen, one JSON object per line:
+ *
+ * {"op":"created","table":"users","id":"jx7...","sourceId":"628c...","at":"..."}
+ * {"op":"updated","table":"users","id":"jx7...","previous":{...},"at":"..."}
+ * {"op":"associated","tagId":"k57...","recordId":"j97...","at":"..."}
+ * {"op":"reverted","entry":3,"at":"..."}
+ * {"op":"rolledBack","at":"..."}
+ *
+ * The journal shares its runId with the run report, and a resumed run keeps
+ * appending to the journal of the run it resumes. Rollback appends a
+ * `reverted` line (pointing at the entry's position in the file) for every
+ * write it undoes, so a rollback that fails halfway can be rerun without
+ * repeating finished steps.
+ *
+ * `previous` holds whole documents, including the password hash (`secret`)
+ * of updated auth accounts, so rollback can restore it. Journals are
+ * created readable by their owner only, journals/ is git-ignored, and they
+ * should be deleted once a run no longer needs to be undone.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+export class RunJournal {
+  /**
+   * @param {string} directory - Journal directory
+   * @param {string} runId - Run ID, used as the file name
+   */
+  constructor(directory, runId) {
+    this.runId = runId;
+    this.filePath = path.join(directory, `${runId}.ndjson`);
+  }
+
+  /**
+   * Records a document created by the run
+   * @param {string} table - Convex table, e.g. 'users', 'tags'
+   * @param {string} id - Convex document ID
+   * @param {string} sourceId - ID registry key of the source document, usually its MongoDB ID
+   */
+  created(table, id, sourceId) {
+    this.append({ op: 'created', table, id, sourceId });
+  }
+
+  /**
+   * Records a document updated by the run, with its values before the update
+   * @param {string} table - Convex table
+   * @param {string} id - Convex document ID
+   * @param {Object} previous - Document as it was before the update
+   */
+  updated(table, id, previous) {
+    this.append({ op: 'updated', table, id, previous });
+  }
+
+  /**
+   * Records a tag attached to a record by the run
+   * @param {string} tagId - Convex tag ID
+   * @param {string} recordId - Convex record ID
+   * @param {string} recordType - Convex record type, e.g. 'properties'
+   */
+  associated(tagId, recordId, recordType) {
+    this.append({ op: 'associated', tagId, recordId, recordType });
+  }
+
+  /**
+   * Records that rollback undid an entry
+   * @param {number} index - Position of the entry in the journal
+   */
+  reverted(index) {
+    this.append({ op: 'reverted', entry: index });
+  }
+
+  /**
+   * Marks the run as rolled back
+   */
+  rolledBack() {
+    this.append({ op: 'rolledBack' });
+  }
+
+  /**
+   * @param {Object} entry - Journal entry
+   */
+  append(entry) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true, mode: 0o700 });
+    fs.appendFileSync(this.filePath, `${JSON.stringify({ ...entry, at: new Date().toISOString() })}\n`, { mode: 0o600 });
+  }
+
+  /**
+   * Reads all entries of a run's journal
+   * @param {string} directory - Journal directory
+   * @param {string} runId - Run ID
+   * @returns {Object[]} Entries in the order they were written
+   * @throws {Error} If the journal does not exist
+   */
+  static read(directory, runId) {
+    const filePath = path.join(directory, `${runId}.ndjson`);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`No journal found for run ${runId} in ${directory}`);
+    }
+
+    return fs.readFileSync(filePath, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line));
+  }
+}
@@ -0,0 +1,28 @@
+/**
+ * Logger
+ * ======
+ *
+ * Console logging with a configurable level so noisy output, such as full
+ * Convex responses, can be turned off. Levels from quietest to noisiest:
+ * error, warn, info (default), debug.
+ */
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+export const LOG_LEVELS = Object.keys(LEVELS);
+
+let threshold = LEVELS.info;
+
+export const logger = {
+  /**
+   * @param {string} level - One of LOG_LEVELS
+   */
+  setLevel(level) {
+    threshold = LEVELS[level] ?? LEVELS.info;
+  },
+
+  error: (...args) => threshold >= LEVELS.error && console.error(...args),
+  warn: (...args) => threshold >= LEVELS.warn && console.warn(...args),
+  info: (...args) => threshold >= LEVELS.info && console.log(...args),
+  debug: (...args) => threshold >= LEVELS.debug && console.log(...args)
+};
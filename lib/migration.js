@@ -0,0 +1,435 @@
+/**
+ * Migration Framework
+ * ===================
+ *
+ * Runs migrations declared with defineMigration(). The runner owns the steps
+ * every migration shares: connecting to MongoDB (or opening an offline
+ * snapshot, see lib/snapshot.js), authenticating with Convex, checkpoints
+ * and --resume, --sync watermarks and --watch change streams, batched and
+ * retried Convex calls, dry-run plans, rejections, the run
+ * report and the rollback journal. A definition only describes its data.
+ *
+ * Definition
+ * ----------
+ * - name:         Used by `node cli.js run <name>` and for the report,
+ *                 checkpoint, sync state and rejection file names
+ * - type:         Record type in the run report and plan, e.g. 'user'
+ * - required:     Config keys the migration needs besides convexUrl (and the
+ *                 MongoDB settings for collection sources)
+ * - authenticate: Set AUTH_TOKEN on the client and check it with users:viewer,
+ *                 the viewer is available as context.user
+ * - concurrency:  Records processed at once, overriding --concurrency, e.g. 1
+ *                 for order-dependent work, or a function of the config.
+ *                 context.executor keeps the configured concurrency for work
+ *                 within a record
+ * - delayMs:      Pause after each record that was not skipped
+ * - source:       Where records come from, either a MongoDB collection
+ *                 { collection, filter(config), matches(doc, config) } read in
+ *                 _id order, or { fetch(context, resumeState), checkpoint(doc,
+ *                 context) } for anything else. fetch() is an async iterable
+ *                 that skips records a resumed run already finished, using
+ *                 the extra state checkpoint() returned for the last record.
+ * - snapshot(config): MongoDB collections `node cli.js export` writes for
+ *                 the migration, as { collection: filter }
+ *
+ * Upsert migrations describe the write:
+ * - transform(doc, context): Builds the Convex record, throwing rejects it
+ * - schema:                  Schema from lib/schema.js the record must match
+ * - skip(record, context):   Optional, returns a reason to skip the record,
+ *                            called with the source document as third argument
+ * - key:                     Field the existing document is looked up by
+ * - target:                  { table, find, create, update }, the Convex table
+ *                            (also the ID registry kind) and the query and
+ *                            mutations to call. find is called with { [key] }
+ * - aliases(record, context): Optional, further source IDs to record in the
+ *                            ID registry against the written document, e.g.
+ *                            duplicates merged into it
+ * - afterWrite(record, id, context): Optional, writes the documents that
+ *                            belong to the created or updated document, e.g.
+ *                            auth accounts. Throwing fails the record
+ * - volatile:                Fields rewritten on every run, e.g. presence,
+ *                            that `node cli.js verify` does not compare
+ *
+ * Migrations that are not a single upsert declare process(doc, context)
+ * instead and return an outcome for the run report themselves, and may
+ * declare verify(context) to support `node cli.js verify` (see
+ * lib/verify.js).
+ *
+ * Hooks
+ * -----
+ * - setup(context):  Runs before the first record, e.g. to preload lookups
+ * - finish(context): Runs after the last record, before sync state is saved
+ * - flush(context):  Runs after every batch, before its checkpoint is saved,
+ *                    and at the end of the run, e.g. to write caches kept in
+ *                    memory
+ * - watch(context):  Extra { collection, onDocument } pairs to tail in --watch
+ *                    mode besides the source collection. onDocument throws
+ *                    when the change failed, which stops the watch there
+ *
+ * Records that fail hold the --sync watermark of the source collection
+ * before them (see lib/sync.js). Migrations that scan further collections
+ * call syncState.begin() before and syncState.hold() for what fails.
+ *
+ * Context
+ * -------
+ * Hooks, transforms and process() receive the shared run state: config,
+ * executor, convexClient, registry, plan, rejections, report, journal,
+ * syncState, incremental (true in --sync/--watch mode), db (collection
+ * sources) and user (authenticated migrations). Definitions may add their
+ * own fields in setup().
+ */
+
+import { ObjectId } from 'mongodb';
+import { ConvexHttpClient } from 'convex/browser';
+import { ConfigError, requireConfig } from './config.js';
+import { IdRegistry } from './idRegistry.js';
+import { MigrationPlan, diffFields } from './plan.js';
+import { Checkpoint, exitOnInterrupt } from './checkpoint.js';
+import { SyncState, clusterTime, serverTime, watchCollection } from './sync.js';
+import { openSource } from './snapshot.js';
+import { Executor } from './executor.js';
+import { validateRecord } from './schema.js';
+import { RejectionLog } from './rejections.js';
+import { RunReport } from './report.js';
+import { RunJournal } from './journal.js';
+import { logger } from './logger.js';
+
+/**
+ * Checks a migration definition
+ * @param {Object} definition - Migration definition, see above
+ * @returns {Object} The definition
+ * @throws {Error} If the definition is incomplete
+ */
+export function defineMigration(definition) {
+  const { name, type, source, process, transform, key, target } = definition;
+  if (!name || !type) {
+    throw new Error("Migration definitions need a name and a type");
+  }
+  if (!source?.collection && !source?.fetch) {
+    throw new Error(`Migration ${name} needs a source collection or fetch()`);
+  }
+  if (!process && !(transform && key && target?.table && target.find && target.create && target.update)) {
+    throw new Error(`Migration ${name} needs process() or transform, key and target { table, find, create, update }`);
+  }
+
+  return definition;
+}
+
+/**
+ * Config keys a migration needs
+ * @param {Object} definition - Migration definition
+ * @param {Object} [config] - Config from loadConfig(), a snapshot replaces the MongoDB settings
+ * @returns {string[]} Required config keys
+ */
+export function requiredConfig(definition, config = {}) {
+  return [
+    ...(definition.source.collection && !config.snapshotDir ? ['mongodbUri', 'mongoDbName'] : []),
+    'convexUrl',
+    ...(definition.authenticate ? ['authToken'] : []),
+    ...(definition.required ?? [])
+  ];
+}
+
+/**
+ * Runs a migration
+ * @param {Object} definition - Migration definition
+ * @param {Object} config - Config from loadConfig()
+ * @returns {Promise<void>} Resolves when the run (and any --watch) ends
+ * @throws {ConfigError} If settings the migration needs are missing
+ */
+export async function runMigration(definition, config) {
+  requireConfig(config, requiredConfig(definition, config));
+  if (config.watch && config.dryRun) {
+    throw new ConfigError("--watch cannot be combined with --dry-run");
+  }
+  if (config.watch && !definition.source.collection) {
+    throw new ConfigError(`--watch needs a MongoDB source, ${definition.name} does not read from MongoDB`);
+  }
+  if (config.watch && config.snapshotDir) {
+    throw new ConfigError("--watch needs a live MongoDB and cannot read a snapshot");
+  }
+
+  const { name, type, source } = definition;
+  const executor = Executor.fromConfig(config);
+  const concurrency = typeof definition.concurrency === 'function'
+    ? definition.concurrency(config)
+    : definition.concurrency;
+  const records = concurrency
+    ? Executor.fromConfig({ ...config, concurrency })
+    : executor;
+  let mongo = null;
+  const context = {
+    config,
+    executor,
+    convexClient: executor.wrapClient(new ConvexHttpClient(config.convexUrl)),
+    registry: IdRegistry.load(config.idMapFile),
+    plan: new MigrationPlan(),
+    rejections: new RejectionLog(config.rejectionsDir, name),
+    syncState: SyncState.open(config.syncStateDir, name),
+    incremental: config.sync || config.watch
+  };
+  let report;
+
+  try {
+    if (source.collection) {
+      mongo = await openSource(config);
+      context.db = mongo.db;
+    }
+
+    if (definition.authenticate) {
+      logger.info("Authenticating with Convex...");
+      context.convexClient.setAuth(config.authToken);
+
+      context.user = await context.convexClient.query('users:viewer');
+      if (!context.user) {
+        throw new Error("Authentication failed");
+      }
+      logger.info("Authenticated with Convex.");
+    }
+
+    if (context.incremental && source.collection) {
+      const watermark = context.syncState.watermark(source.collection);
+      logger.info(watermark ? `Syncing ${source.collection} changed since ${watermark.toISOString()}` : `No sync watermark yet, syncing all ${source.collection}`);
+    }
+
+    // Changes made while the catch-up below runs are picked up by the watch
+    const watchStart = config.watch ? await clusterTime(context.db) : null;
+    if (context.incremental && source.collection) {
+      context.syncState.begin(source.collection, await serverTime(context.db));
+    }
+
+    // Pick up after the last checkpointed record when resuming
+    const checkpoint = Checkpoint.open(config.checkpointDir, name);
+    const resumeState = config.resume ? checkpoint.state : null;
+    if (resumeState) {
+      logger.info(`Resuming after ${type} ${resumeState.lastId} (checkpoint saved ${resumeState.savedAt})`);
+    } else if (checkpoint.state) {
+      logger.info("Ignoring existing checkpoint, pass --resume to continue it.");
+    }
+    if (!config.dryRun) {
+      exitOnInterrupt(`node cli.js run ${name}`);
+    }
+
+    report = context.report = new RunReport(name, { carried: resumeState?.totals, runId: resumeState?.runId });
+    context.journal = new RunJournal(config.journalDir, report.runId);
+
+    await definition.setup?.(context);
+
+    const handle = definition.process
+      ? doc => definition.process(doc, context)
+      : doc => upsertRecord(doc, definition, context);
+    const track = doc => report.track(type, String(doc._id), () => handle(doc));
+
+    logger.info("Starting migration...");
+
+    // Set once a record fails outside report.track(), e.g. in the delay or
+    // a definition hook; the checkpoint then stays before that record
+    let stalled = false;
+
+    // Process records in batches, with up to `concurrency` in flight
+    for await (const batch of records.batches(await readSource(definition, context, resumeState))) {
+      const results = await records.map(batch, async doc => {
+        const outcome = await track(doc);
+        if (definition.delayMs && outcome.action !== 'skipped') {
+          await new Promise(resolve => setTimeout(resolve, definition.delayMs));
+        }
+        return outcome;
+      });
+
+      const firstFailed = results.findIndex(result => result.status === 'rejected');
+      results.forEach((result, index) => {
+        if (result.status !== 'rejected') return;
+        logger.error(`Failed to process ${type} ${batch[index]._id}:`, result.reason);
+        report.record({ type, sourceId: String(batch[index]._id), action: 'failed', error: result.reason?.message ?? String(result.reason) });
+      });
+      if (source.collection) {
+        batch.filter((doc, index) => results[index].status === 'rejected' || results[index].value.action === 'failed')
+          .forEach(doc => context.syncState.hold(source.collection, doc));
+      }
+
+      // A batch is only checkpointed once every record in it has finished,
+      // and after the ID mappings it recorded are on disk
+      flushState(definition, context);
+      const done = stalled ? [] : batch.slice(0, firstFailed < 0 ? batch.length : firstFailed);
+      if (!config.dryRun && done.length > 0) {
+        const last = done[done.length - 1];
+        checkpoint.save({ lastId: String(last._id), runId: report.runId, totals: report.totals(), ...source.checkpoint?.(last, context) });
+      }
+      stalled ||= firstFailed >= 0;
+    }
+
+    await definition.finish?.(context);
+
+    if (config.dryRun) {
+      context.plan.print();
+      if (config.planFile) context.plan.write(config.planFile);
+    } else if (stalled) {
+      // Resuming retries every record from the first one that failed
+      logger.warn(`Some ${type} records failed unexpectedly, the checkpoint and sync state were kept before them. Continue with: node cli.js run ${name} --resume`);
+      process.exitCode = 1;
+    } else {
+      checkpoint.clear();
+      if (context.incremental) context.syncState.commit();
+    }
+
+    logger.info("Migration completed.");
+    report.logSummary();
+    if (context.rejections.count > 0) {
+      logger.info(`${context.rejections.count} records were rejected, see ${context.rejections.filePath}`);
+    }
+    if (!config.dryRun) {
+      logger.info(`Undo this run with: node cli.js rollback ${report.runId}`);
+    }
+    report.write(config.reportDir, config.reportFormats);
+
+    if (config.watch) {
+      await Promise.all([
+        watchCollection(context.db.collection(source.collection), context.syncState, async doc => {
+          if (source.matches && !source.matches(doc, config)) return;
+          const outcome = await track(doc);
+          flushState(definition, context);
+          if (outcome.action === 'failed') throw new Error(outcome.error);
+        }, watchStart),
+        ...(definition.watch?.(context) ?? []).map(({ collection, onDocument }) =>
+          watchCollection(collection, context.syncState, async doc => {
+            await onDocument(doc);
+            flushState(definition, context);
+          }, watchStart)
+        )
+      ]);
+    }
+  } catch (error) {
+    logger.error(`Error during ${name} migration:`, error);
+    // Keep whatever was processed before the failure
+    report?.write(config.reportDir, config.reportFormats);
+    process.exitCode = 1;
+  } finally {
+    flushState(definition, context);
+    await mongo?.close();
+  }
+}
+
+/**
+ * Writes the ID registry and the definition's own in-memory state to disk
+ * @param {Object} definition - Migration definition
+ * @param {Object} context - Shared run state
+ */
+function flushState(definition, context) {
+  context.registry.flush();
+  definition.flush?.(context);
+}
+
+/**
+ * Opens the records a run should process
+ * @param {Object} definition - Migration definition
+ * @param {Object} context - Shared run state
+ * @param {Object|null} resumeState - Checkpoint being resumed
+ * @returns {Promise<AsyncIterable>} MongoDB cursor or the definition's fetch() iterable
+ */
+async function readSource({ source }, context, resumeState) {
+  if (source.fetch) {
+    return source.fetch(context, resumeState);
+  }
+
+  const collection = context.db.collection(source.collection);
+  const filter = {
+    ...source.filter?.(context.config),
+    ...(context.incremental && context.syncState.changedSinceFilter(source.collection))
+  };
+  logger.info(`${source.collection}: ${await collection.countDocuments(filter)}`);
+
+  if (resumeState) {
+    filter._id = { $gt: new ObjectId(resumeState.lastId) };
+  }
+  return collection.find(filter).sort({ _id: 1 });
+}
+
+/**
+ * Transforms, validates and creates or updates a single record
+ * @param {Object} doc - Source document
+ * @param {Object} definition - Upsert migration definition
+ * @param {Object} context - Shared run state
+ * @returns {Promise<{action: string, targetId?: string, error?: string}>} Outcome for the run report
+ */
+async function upsertRecord(doc, definition, context) {
+  const { type, schema, key, target } = definition;
+  const { config, convexClient, registry, plan, rejections, journal } = context;
+  const mongoId = doc._id.toString();
+
+  let record;
+  try {
+    record = await definition.transform(doc, context);
+  } catch (error) {
+    rejections.reject(mongoId, [`transform failed: ${error.message}`]);
+    plan.add({ type, id: mongoId, action: 'skip', reason: 'rejected' });
+    return { action: 'rejected', error: `transform failed: ${error.message}` };
+  }
+
+  // Reject records that do not match the Convex schema
+  const errors = schema ? validateRecord(record, schema) : [];
+  if (errors.length > 0) {
+    rejections.reject(mongoId, errors, record);
+    plan.add({ type, id: record[key] || mongoId, action: 'skip', reason: `rejected: ${errors.join('; ')}` });
+    return { action: 'rejected', error: errors.join('; ') };
+  }
+
+  const label = record[key];
+  const skipReason = definition.skip?.(record, context, doc);
+  if (skipReason) {
+    logger.info(`Skipped ${type} ${label}: ${skipReason}`);
+    plan.add({ type, id: label, action: 'skip', reason: skipReason });
+    return { action: 'skipped', error: skipReason };
+  }
+
+  const existing = await convexClient.query(target.find, { [key]: record[key] });
+
+  if (config.dryRun) {
+    plan.add({ type, id: label, action: existing ? 'update' : 'create', changes: diffFields(existing, record) });
+    return { action: 'planned', targetId: existing?._id };
+  }
+
+  if (existing) {
+    logger.info(`${type} ${label} already exists. Updating...`);
+    try {
+      const result = await convexClient.mutation(target.update, { id: existing._id, ...record }, { idempotent: true });
+      logger.debug(`Updated ${type}: ${label}`, result);
+      journal.updated(target.table, existing._id, existing);
+      registerIds(definition, record, mongoId, existing._id, context);
+      await definition.afterWrite?.(record, existing._id, context);
+      return { action: 'updated', targetId: existing._id };
+    } catch (error) {
+      logger.error(`Failed to update ${type}: ${label}`, error);
+      return { action: 'failed', targetId: existing._id, error: error.message };
+    }
+  }
+
+  logger.info(`Creating new ${type}: ${label}`);
+  try {
+    const result = await convexClient.mutation(target.create, record);
+    logger.debug(`Created ${type}: ${label}`, result);
+    const id = typeof result === 'string' ? result : result?._id;
+    journal.created(target.table, id, mongoId);
+    registerIds(definition, record, mongoId, id, context);
+    await definition.afterWrite?.(record, id, context);
+    return { action: 'created', targetId: id };
+  } catch (error) {
+    logger.error(`Failed to create ${type}: ${label}`, error);
+    return { action: 'failed', error: error.message };
+  }
+}
+
+/**
+ * Records the source document, and any aliases, in the ID registry
+ * @param {Object} definition - Upsert migration definition
+ * @param {Object} record - Written record
+ * @param {string} mongoId - Source document ID
+ * @param {string} convexId - Convex document ID
+ * @param {Object} context - Shared run state
+ */
+function registerIds(definition, record, mongoId, convexId, context) {
+  const { table } = definition.target;
+  context.registry.set(table, mongoId, convexId);
+  for (const alias of definition.aliases?.(record, context) ?? []) {
+    context.registry.set(table, alias, convexId);
+  }
+}
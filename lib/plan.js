@@ -0,0 +1,139 @@
+/**
+ * Migration Plan
+ * ==============
+ *
+ * Collects the writes a script intends to make so they can be reviewed
+ * before anything reaches Convex. Scripts run with --dry-run perform every
+ * read and transform, add each create/update/skip to the plan instead of
+ * calling the mutation, and print the plan at the end.
+ *
+ * Each entry records:
+ * - type:    Record type, e.g. 'user', 'tag', 'tag association'
+ * - id:      Human readable identifier (email, tag name, Mongo ID)
+ * - action:  'create' | 'update' | 'skip' | 'associate' | 'link' | 'review', or for rollback
+ *            'delete' | 'restore' | 'detach'
+ * - changes: Field-level diff against the existing Convex document
+ * - reason:  Why a record is skipped or needs review
+ */
+
+import fs from 'node:fs';
+import { logger } from './logger.js';
+
+const ACTION_LABELS = {
+  create: 'CREATE',
+  update: 'UPDATE',
+  associate: 'ASSOCIATE',
+  link: 'LINK',
+  skip: 'SKIP',
+  review: 'REVIEW',
+  delete: 'DELETE',
+  restore: 'RESTORE',
+  detach: 'DETACH'
+};
+
+export class MigrationPlan {
+  constructor() {
+    this.entries = [];
+    this.keys = new Set();
+  }
+
+  /**
+   * Adds a planned action
+   * Entries with a `key` already in the plan are ignored, so loops that
+   * revisit the same record do not list it twice.
+   * @param {Object} entry - Plan entry
+   * @param {string} entry.type - Record type
+   * @param {string} entry.id - Record identifier
+   * @param {string} entry.action - Planned action
+   * @param {Array} [entry.changes] - Field diff from diffFields()
+   * @param {string} [entry.reason] - Reason for skipping
+   * @param {string} [entry.key] - Deduplication key
+   */
+  add({ key, ...entry }) {
+    if (key) {
+      if (this.keys.has(key)) return;
+      this.keys.add(key);
+    }
+    this.entries.push({ changes: [], ...entry });
+  }
+
+  /**
+   * Counts entries per action
+   * @returns {Object} Count keyed by action
+   */
+  summary() {
+    return this.entries.reduce((acc, entry) => {
+      acc[entry.action] = (acc[entry.action] || 0) + 1;
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Prints the plan through the logger, at info level
+   */
+  print() {
+    logger.info("\nPlan (dry run, nothing was written):");
+    logger.info("------------------------------------");
+
+    for (const entry of this.entries) {
+      const label = ACTION_LABELS[entry.action] || entry.action.toUpperCase();
+      logger.info(`${label} ${entry.type} ${entry.id}${entry.reason ? ` (${entry.reason})` : ''}`);
+      for (const change of entry.changes) {
+        if (change.from === undefined) {
+          logger.info(`  + ${change.field}: ${JSON.stringify(change.to)}`);
+        } else {
+          logger.info(`  ~ ${change.field}: ${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`);
+        }
+      }
+    }
+
+    const counts = Object.entries(this.summary()).map(([action, count]) => `${action}: ${count}`);
+    logger.info(`\nPlanned actions: ${counts.join(', ') || 'none'}`);
+  }
+
+  /**
+   * Writes the plan to a JSON file
+   * @param {string} filePath - Output path
+   */
+  write(filePath) {
+    fs.writeFileSync(filePath, JSON.stringify({ summary: this.summary(), entries: this.entries }, null, 2));
+    logger.info(`Plan written to ${filePath}`);
+  }
+}
+
+/**
+ * Compares a transformed record with the existing Convex document
+ * Only fields present in `next` are compared, so Convex system fields
+ * (_id, _creationTime) and fields the migration does not manage are ignored.
+ * Nested objects are compared per field; arrays are compared as a whole.
+ * @param {Object|null} existing - Current Convex document, or null for a create
+ * @param {Object} next - Record about to be written
+ * @param {string} [prefix] - Field path prefix for nested objects
+ * @returns {Array<{field: string, from: *, to: *}>} Changed fields
+ */
+export function diffFields(existing, next, prefix = '') {
+  const changes = [];
+
+  for (const [key, value] of Object.entries(next)) {
+    if (value === undefined) continue;
+
+    const field = prefix ? `${prefix}.${key}` : key;
+    const current = existing?.[key];
+
+    if (isPlainObject(value) && isPlainObject(current)) {
+      changes.push(...diffFields(current, value, field));
+    } else if (JSON.stringify(current) !== JSON.stringify(value)) {
+      changes.push({ field, from: current, to: value });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} True for non-array objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
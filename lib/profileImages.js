@@ -0,0 +1,166 @@
+/**
+ * Profile Images
+ * ==============
+ *
+ * Copies user profile images from the old S3/CDN into Convex file storage,
+ * enabled with MIGRATE_IMAGES (--migrate-images). Each image is downloaded,
+ * checked, and uploaded to a URL from the files:generateUploadUrl mutation;
+ * the users migration then stores the returned storageId as
+ * `imageStorageId` instead of the old URL in `image`.
+ *
+ * Deduplication
+ * -------------
+ * Uploaded files are recorded in the ID registry under "files", both by
+ * source URL and by the SHA-256 of their content ("sha256:<hex>"). A URL
+ * that was uploaded before is not downloaded again, and an image with the
+ * same content as an uploaded one reuses its storageId.
+ *
+ * Failures
+ * --------
+ * - broken:    The download failed, returned an HTTP error or an empty body
+ * - oversized: Larger than MAX_IMAGE_BYTES (--max-image-bytes, default 5 MB)
+ * - invalid:   Not served with an image/* content type
+ *
+ * Failed images are left out of the user and listed in the run report as
+ * 'profile image' rows with the URL and reason.
+ *
+ * Testing
+ * -------
+ * IMAGE_ORIGIN (--image-origin) replaces the origin of every image URL, and
+ * resolves relative ones, so the images can be served by a local HTTP
+ * server. Pointing CONVEX_URL at the same server lets it answer
+ * files:generateUploadUrl with an upload URL of its own.
+ * test/profileImages.test.js does this with a node:http server, covering
+ * downloads, deduplication, oversized images and broken URLs
+ * (`npm test`).
+ *
+ * Uploads are journaled as created 'files' documents, so rollback removes
+ * them with files:remove.
+ */
+
+import crypto from 'node:crypto';
+import axios from 'axios';
+import { logger } from './logger.js';
+
+const DOWNLOAD_TIMEOUT_MS = 30000;
+
+/**
+ * Thrown for images that cannot be migrated
+ */
+export class ImageError extends Error {
+  /**
+   * @param {string} reason - broken, oversized or invalid
+   * @param {string} message - Details, e.g. the HTTP status
+   */
+  constructor(reason, message) {
+    super(message);
+    this.name = 'ImageError';
+    this.reason = reason;
+  }
+}
+
+export class ProfileImages {
+  /**
+   * @param {Object} config - Config from loadConfig()
+   * @param {Object} context - Shared run state (convexClient, registry, journal)
+   */
+  constructor(config, { convexClient, registry, journal }) {
+    this.origin = config.imageOrigin;
+    this.maxBytes = config.maxImageBytes;
+    this.convexClient = convexClient;
+    this.registry = registry;
+    this.journal = journal;
+    // Uploads in flight by URL, so users sharing an image upload it once
+    this.pending = new Map();
+  }
+
+  /**
+   * Finds the storageId of an image uploaded by an earlier run
+   * @param {string} url - Image URL as stored in MongoDB
+   * @returns {string|null} storageId, or null if the URL was not uploaded
+   */
+  lookup(url) {
+    return this.registry.get('files', url);
+  }
+
+  /**
+   * Uploads an image unless it is already in Convex storage
+   * @param {string} url - Image URL as stored in MongoDB
+   * @returns {Promise<{storageId: string, uploaded: boolean}>} storageId, and whether this call uploaded it
+   * @throws {ImageError} If the image is broken, oversized or not an image
+   */
+  async store(url) {
+    const storageId = this.lookup(url);
+    if (storageId) return { storageId, uploaded: false };
+
+    if (!this.pending.has(url)) {
+      this.pending.set(url, this.upload(url).finally(() => this.pending.delete(url)));
+    }
+    return this.pending.get(url);
+  }
+
+  async upload(url) {
+    const { data, contentType } = await this.download(url);
+
+    const hash = `sha256:${crypto.createHash('sha256').update(data).digest('hex')}`;
+    const existing = this.registry.get('files', hash);
+    if (existing) {
+      this.registry.set('files', url, existing);
+      return { storageId: existing, uploaded: false };
+    }
+
+    const uploadUrl = await this.convexClient.mutation('files:generateUploadUrl', {}, { idempotent: true });
+    const response = await axios.post(uploadUrl, data, { headers: { 'Content-Type': contentType } });
+    const { storageId } = response.data;
+
+    this.journal.created('files', storageId, hash);
+    this.registry.set('files', hash, storageId);
+    this.registry.set('files', url, storageId);
+    logger.debug(`Uploaded ${url} as ${storageId}`);
+    return { storageId, uploaded: true };
+  }
+
+  /**
+   * @param {string} url - Image URL as stored in MongoDB
+   * @returns {Promise<{data: Buffer, contentType: string}>} Image content
+   * @throws {ImageError} If the image is broken, oversized or not an image
+   */
+  async download(url) {
+    let response;
+    try {
+      response = await axios.get(this.resolve(url), {
+        responseType: 'arraybuffer',
+        maxContentLength: this.maxBytes,
+        timeout: DOWNLOAD_TIMEOUT_MS
+      });
+    } catch (error) {
+      if (/maxContentLength/.test(error.message)) {
+        throw new ImageError('oversized', `larger than ${this.maxBytes} bytes`);
+      }
+      throw new ImageError('broken', error.response ? `HTTP ${error.response.status}` : error.message);
+    }
+
+    const data = Buffer.from(response.data);
+    const contentType = String(response.headers['content-type'] ?? '').split(';')[0].trim();
+    if (data.length === 0) {
+      throw new ImageError('broken', 'empty response');
+    }
+    if (data.length > this.maxBytes) {
+      throw new ImageError('oversized', `${data.length} bytes, more than ${this.maxBytes}`);
+    }
+    if (!contentType.startsWith('image/')) {
+      throw new ImageError('invalid', `content type ${contentType || 'missing'}`);
+    }
+    return { data, contentType };
+  }
+
+  /**
+   * @param {string} url - Image URL as stored in MongoDB
+   * @returns {string} URL to download from, on IMAGE_ORIGIN if set
+   */
+  resolve(url) {
+    if (!this.origin) return url;
+    const { pathname, search } = new URL(url, this.origin);
+    return new URL(`${pathname}${search}`, this.origin).toString();
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Rate Limiter
+ * ============
+ *
+ * Token bucket that spaces out requests to an external API so a run stays
+ * within the API's quota no matter how many requests are in flight.
+ *
+ * The bucket holds up to `burst` tokens and refills at `rate` tokens per
+ * second. acquire() waits until a token is available and takes it. Waiting
+ * callers are served in order.
+ *
+ * Adaptive Rate
+ * -------------
+ * When the API reports that the quota was exceeded, throttle() halves the
+ * current rate (down to 1/16 of the configured rate) and empties the bucket,
+ * so the next requests wait. Every RECOVER_AFTER successful requests in a row
+ * raise the rate by a tenth of the configured rate again, until it is back
+ * at the configured rate.
+ */
+
+import { logger } from './logger.js';
+
+const MIN_RATE_SHARE = 1 / 16;
+const RECOVER_AFTER = 20;
+
+export class RateLimiter {
+  /**
+   * @param {string} name - Used in log lines, e.g. the provider name
+   * @param {number} rate - Requests per second
+   * @param {number} [burst] - Requests allowed at once after an idle period
+   */
+  constructor(name, rate, burst = Math.max(1, Math.floor(rate))) {
+    this.name = name;
+    this.maxRate = rate;
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.refilledAt = Date.now();
+    this.successes = 0;
+    // Serializes acquire() calls so waiting callers are served in order
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Waits for and takes a token
+   * @returns {Promise<void>} Resolves when the caller may send its request
+   */
+  acquire() {
+    const turn = this.queue.then(() => this.take());
+    this.queue = turn;
+    return turn;
+  }
+
+  /**
+   * Slows down after the API reported an exceeded quota
+   */
+  throttle() {
+    this.rate = Math.max(this.maxRate * MIN_RATE_SHARE, this.rate / 2);
+    this.tokens = 0;
+    this.refilledAt = Date.now();
+    this.successes = 0;
+    logger.warn(`${this.name} rate limit hit, slowing down to ${this.rate.toFixed(2)} requests per second`);
+  }
+
+  /**
+   * Records a request that was not rate limited
+   */
+  succeeded() {
+    if (this.rate >= this.maxRate || ++this.successes < RECOVER_AFTER) return;
+
+    this.successes = 0;
+    this.rate = Math.min(this.maxRate, this.rate + this.maxRate / 10);
+    logger.debug(`${this.name} rate back up to ${this.rate.toFixed(2)} requests per second`);
+  }
+
+  async take() {
+    this.refill();
+    if (this.tokens < 1) {
+      await new Promise(resolve => setTimeout(resolve, Math.ceil((1 - this.tokens) / this.rate * 1000)));
+      this.refill();
+    }
+    this.tokens -= 1;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.refilledAt) / 1000 * this.rate);
+    this.refilledAt = now;
+  }
+}
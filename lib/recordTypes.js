@@ -0,0 +1,70 @@
+/**
+ * Tagged Record Types
+ * ===================
+ *
+ * Maps the `type` of a MongoDB tagrefs document to the Convex record type a
+ * tag is created for and to the resolver that finds the referenced record in
+ * Convex.
+ *
+ * Resolvers
+ * ---------
+ * A resolver is either
+ * - { recordType, query }:   query is called with { mongoId }, or
+ * - { recordType, resolve }: resolve(mongoId, convexClient) returns the record
+ *
+ * and must return the Convex record, or null if it has not been migrated.
+ * Register additional reference types with registerRecordType() and add
+ * their record type to tagSchema (lib/schema.js), then include them in
+ * TAG_REF_TYPES (--tag-ref-types).
+ */
+
+const RESOLVERS = {
+  property: { recordType: 'properties', query: 'properties:getByMongoId' },
+  contact: { recordType: 'contacts', query: 'contacts:getByMongoId' }
+};
+
+/**
+ * Adds or replaces the resolver for a reference type
+ * @param {string} refType - tagrefs `type`, e.g. 'deal'
+ * @param {Object} resolver - { recordType, query } or { recordType, resolve }
+ */
+export function registerRecordType(refType, resolver) {
+  if (!resolver?.recordType || !(resolver.query || resolver.resolve)) {
+    throw new Error(`Resolver for ${refType} references needs a recordType and a query or resolve()`);
+  }
+  RESOLVERS[refType] = resolver;
+}
+
+/**
+ * @returns {string[]} Reference types with a resolver
+ */
+export function knownRefTypes() {
+  return Object.keys(RESOLVERS);
+}
+
+/**
+ * @param {string} refType - tagrefs `type`
+ * @returns {string|null} Convex record type, or null for unknown reference types
+ */
+export function recordTypeFor(refType) {
+  return RESOLVERS[refType]?.recordType ?? null;
+}
+
+/**
+ * Finds the Convex record a tag reference points at
+ * @param {Object} ref - MongoDB tagrefs document
+ * @param {Object} convexClient - Convex client
+ * @returns {Promise<Object|null>} Convex record, or null if it has not been migrated
+ * @throws {Error} If there is no resolver for the reference type
+ */
+export async function resolveRecord(ref, convexClient) {
+  const resolver = RESOLVERS[ref.type];
+  if (!resolver) {
+    throw new Error(`No resolver for ${ref.type} references`);
+  }
+
+  const mongoId = ref.refWith.toString();
+  return resolver.resolve
+    ? resolver.resolve(mongoId, convexClient)
+    : convexClient.query(resolver.query, { mongoId });
+}
@@ -0,0 +1,40 @@
+/**
+ * Rejection Log
+ * =============
+ *
+ * Appends records that failed validation or transformation to
+ * <rejectionsDir>/<name>.ndjson, one JSON object per line:
+ *
+ * {"rejectedAt":"...","mongoId":"...","reasons":["email is required"],"record":{...}}
+ *
+ * The file is appended to across runs so resumed runs keep earlier
+ * rejections; delete it to start a fresh report.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { logger } from './logger.js';
+
+export class RejectionLog {
+  /**
+   * @param {string} directory - Rejection file directory
+   * @param {string} name - Script name, used as the file name
+   */
+  constructor(directory, name) {
+    this.filePath = path.join(directory, `${name}.ndjson`);
+    this.count = 0;
+  }
+
+  /**
+   * Records a rejected record
+   * @param {string} mongoId - Source MongoDB ID
+   * @param {string[]} reasons - Why the record was rejected
+   * @param {Object} [record] - Transformed record, if the transform succeeded
+   */
+  reject(mongoId, reasons, record) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, `${JSON.stringify({ rejectedAt: new Date().toISOString(), mongoId, reasons, record })}\n`);
+    this.count++;
+    logger.warn(`Rejected ${mongoId}: ${reasons.join('; ')}`);
+  }
+}
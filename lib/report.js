@@ -0,0 +1,142 @@
+/**
+ * Run Reports
+ * ===========
+ *
+ * Records the outcome of every record a script touches and writes them as
+ * machine-readable reports to <reportDir>/<runId>.json and .csv.
+ *
+ * Each row has:
+ * - type:       Record type, e.g. 'user', 'tag', 'tag association', 'property'
+ * - sourceId:   MongoDB ID (or Convex ID for records that only live in Convex)
+ * - targetId:   Convex ID written or matched, when known
+ * - action:     created | updated | associated | linked | skipped | review | rejected | failed | planned,
+ *               or deleted | restored | detached for rollback runs, or
+ *               matched | mismatched | missing | extra for verification
+ * - error:      Error, skip or review reason
+ * - durationMs: Time spent on the record
+ *
+ * Totals are counted per type and action. A resumed run carries over the
+ * totals and runId saved in its checkpoint so the final numbers cover the
+ * whole run, while the rows only cover records processed by this invocation.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { logger } from './logger.js';
+
+const CSV_COLUMNS = ['type', 'sourceId', 'targetId', 'action', 'error', 'durationMs'];
+
+export class RunReport {
+  /**
+   * @param {string} name - Script name, used as the runId prefix
+   * @param {Object} [options]
+   * @param {Object} [options.carried] - Totals from an earlier, interrupted invocation
+   * @param {string} [options.runId] - runId of the interrupted invocation being resumed
+   */
+  constructor(name, { carried, runId } = {}) {
+    this.name = name;
+    this.startedAt = new Date();
+    this.runId = runId ?? `${name}-${this.startedAt.toISOString().replace(/[:.]/g, '-')}`;
+    this.rows = [];
+    this.carried = carried ?? {};
+  }
+
+  /**
+   * Adds an outcome row
+   * @param {Object} row - Row with the fields listed above
+   */
+  record(row) {
+    this.rows.push({ targetId: null, error: null, durationMs: null, ...row });
+  }
+
+  /**
+   * Runs the work for one record and records its outcome and duration
+   * Errors thrown by fn are recorded as 'failed' rather than rethrown.
+   * @param {string} type - Record type
+   * @param {string} sourceId - Source record ID
+   * @param {Function} fn - Async function resolving to {action, targetId?, error?}
+   * @returns {Promise<{action: string, targetId?: string, error?: string}>} The outcome
+   */
+  async track(type, sourceId, fn) {
+    const started = Date.now();
+    let outcome;
+    try {
+      outcome = await fn();
+    } catch (error) {
+      logger.error(`Failed to process ${type} ${sourceId}:`, error);
+      outcome = { action: 'failed', error: error.message };
+    }
+
+    this.record({ type, sourceId, ...outcome, durationMs: Date.now() - started });
+    return outcome;
+  }
+
+  /**
+   * @returns {Object} Counts keyed by type, then action, including carried totals
+   */
+  totals() {
+    const totals = structuredClone(this.carried);
+    for (const row of this.rows) {
+      totals[row.type] ??= {};
+      totals[row.type][row.action] = (totals[row.type][row.action] ?? 0) + 1;
+    }
+    return totals;
+  }
+
+  /**
+   * Logs one summary line per record type
+   */
+  logSummary() {
+    for (const [type, actions] of Object.entries(this.totals())) {
+      const counts = Object.entries(actions).map(([action, count]) => `${action}: ${count}`);
+      logger.info(`${type} - ${counts.join(', ')}`);
+    }
+  }
+
+  /**
+   * Writes the report files
+   * @param {string} directory - Output directory
+   * @param {string[]} formats - Any of 'json', 'csv'
+   * @returns {string[]} Written file paths
+   */
+  write(directory, formats) {
+    fs.mkdirSync(directory, { recursive: true });
+    const written = [];
+
+    if (formats.includes('json')) {
+      const filePath = path.join(directory, `${this.runId}.json`);
+      fs.writeFileSync(filePath, JSON.stringify({
+        runId: this.runId,
+        script: this.name,
+        startedAt: this.startedAt.toISOString(),
+        finishedAt: new Date().toISOString(),
+        totals: this.totals(),
+        records: this.rows
+      }, null, 2));
+      written.push(filePath);
+    }
+
+    if (formats.includes('csv')) {
+      const filePath = path.join(directory, `${this.runId}.csv`);
+      const lines = this.rows.map(row => CSV_COLUMNS.map(column => csvValue(row[column])).join(','));
+      fs.writeFileSync(filePath, [CSV_COLUMNS.join(','), ...lines].join('\n') + '\n');
+      written.push(filePath);
+    }
+
+    for (const filePath of written) {
+      logger.info(`Report written to ${filePath}`);
+    }
+    return written;
+  }
+}
+
+/**
+ * Quotes a CSV cell when needed
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
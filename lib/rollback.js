@@ -0,0 +1,195 @@
+/**
+ * Rollback
+ * ========
+ *
+ * Undoes the Convex writes of an earlier migration run using the journal
+ * that run wrote to JOURNAL_DIR/<runId>.ndjson. The
+ * runId is printed at the end of every run and is also the name of the run
+ * report in REPORT_DIR.
+ *
+ * Journal entries are undone newest first:
+ * - Associations added by the run are detached (tags:removeTagFromRecord)
+ * - Updated documents get their previous values back (users:update,
+ *   properties:updateProperty, authAccounts:update)
+ * - Documents created by the run are deleted (users:remove, tags:remove,
+ *   authAccounts:remove, files:remove) and
+ *   every ID registry entry pointing at them is dropped
+ *
+ * Every undone entry is marked in the journal, so a rollback that fails
+ * partway can simply be run again. Once every entry is undone the journal is
+ * marked as rolled back and further rollbacks of the run are refused.
+ *
+ * Limitations
+ * ----------
+ * - Fields an update added to a document are not removed when restoring it,
+ *   only fields that existed before the update are written back
+ * - Changes made in Convex after the run are overwritten by the restore
+ *
+ * Configuration
+ * ------------
+ * - CONVEX_URL (--convex-url): Your Convex deployment URL
+ * - AUTH_TOKEN (--auth-token): Convex authentication token, required to
+ *   roll back tags and properties runs
+ * - JOURNAL_DIR (--journal-dir): Journal directory, defaults to journals
+ * - ID_MAP_FILE (--id-map): ID registry file, defaults to id-map.json
+ *
+ * Pass --dry-run to print what would be undone without writing to Convex.
+ *
+ * Usage
+ * -----
+ *    node cli.js rollback <runId> --config merge-convex.config.json
+ */
+
+import { ConvexHttpClient } from 'convex/browser';
+import { ConfigError, requireConfig } from './config.js';
+import { IdRegistry } from './idRegistry.js';
+import { MigrationPlan } from './plan.js';
+import { Executor } from './executor.js';
+import { RunJournal } from './journal.js';
+import { RunReport } from './report.js';
+import { logger } from './logger.js';
+
+// Convex system fields that cannot be passed back to a mutation
+const SYSTEM_FIELDS = ['_id', '_creationTime'];
+
+// Mutation and arguments that restore a document's previous values, per table
+const RESTORE = {
+  users: (id, previous) => ['users:update', { ...withoutSystemFields(previous), id }],
+  properties: (id, previous) => ['properties:updateProperty', { ...previous, id }],
+  authAccounts: (id, previous) => ['authAccounts:update', { ...withoutSystemFields(previous), id }]
+};
+
+/**
+ * Rolls back a migration run
+ * @param {string} runId - Run to undo, as printed at the end of the run
+ * @param {Object} config - Config from loadConfig()
+ * @throws {ConfigError} If the run was already rolled back or settings are missing
+ */
+export async function rollbackRun(runId, config) {
+  requireConfig(config, ['convexUrl']);
+
+  const entries = RunJournal.read(config.journalDir, runId);
+  if (entries.some(entry => entry.op === 'rolledBack')) {
+    throw new ConfigError(`Run ${runId} has already been rolled back`);
+  }
+
+  const executor = Executor.fromConfig(config);
+  const convexClient = executor.wrapClient(new ConvexHttpClient(config.convexUrl));
+  if (config.authToken) {
+    convexClient.setAuth(config.authToken);
+  }
+
+  const journal = new RunJournal(config.journalDir, runId);
+  const registry = IdRegistry.load(config.idMapFile);
+  const plan = new MigrationPlan();
+  const report = new RunReport('rollback');
+  const context = { config, convexClient, registry, plan };
+
+  // Entries undone by an earlier, failed rollback
+  const reverted = new Set(entries.filter(entry => entry.op === 'reverted').map(entry => entry.entry));
+  const pending = entries
+    .map((entry, index) => ({ entry, index }))
+    .filter(({ entry, index }) => ['created', 'updated', 'associated'].includes(entry.op) && !reverted.has(index))
+    .reverse();
+
+  logger.info(`Rolling back ${pending.length} writes of run ${runId}${reverted.size > 0 ? ` (${reverted.size} already undone)` : ''}...`);
+
+  // Sequential, so associations are detached before their tags are deleted
+  let failed = 0;
+  try {
+    for (const { entry, index } of pending) {
+      const type = entry.op === 'associated' ? 'tag association' : entry.table;
+      const sourceId = entry.op === 'associated' ? `${entry.tagId}:${entry.recordId}` : entry.id;
+      const outcome = await report.track(type, sourceId, () => revertEntry(entry, context));
+
+      if (outcome.action === 'failed') {
+        failed++;
+      } else if (!config.dryRun) {
+        journal.reverted(index);
+      }
+    }
+  } finally {
+    registry.flush();
+  }
+
+  if (config.dryRun) {
+    plan.print();
+    if (config.planFile) plan.write(config.planFile);
+  } else if (failed === 0) {
+    journal.rolledBack();
+    logger.info(`Run ${runId} has been rolled back.`);
+  } else {
+    logger.warn(`${failed} writes could not be undone, rerun node cli.js rollback ${runId} to retry them.`);
+    process.exitCode = 1;
+  }
+
+  report.logSummary();
+  report.write(config.reportDir, config.reportFormats);
+}
+
+/**
+ * Undoes a single journal entry
+ * @param {Object} entry - Journal entry
+ * @param {Object} context - Shared run state (config, convexClient, registry, plan)
+ * @returns {Promise<{action: string, targetId?: string, error?: string}>} Outcome for the run report
+ */
+async function revertEntry(entry, { config, convexClient, registry, plan }) {
+  try {
+    switch (entry.op) {
+      case 'associated': {
+        if (config.dryRun) {
+          plan.add({ type: 'tag association', id: `${entry.tagId} -> ${entry.recordType} ${entry.recordId}`, action: 'detach' });
+          return { action: 'planned', targetId: entry.recordId };
+        }
+
+        await convexClient.mutation('tags:removeTagFromRecord', { recordId: entry.recordId, tagId: entry.tagId });
+        logger.info(`Detached tag ${entry.tagId} from ${entry.recordType} ${entry.recordId}`);
+        return { action: 'detached', targetId: entry.recordId };
+      }
+
+      case 'updated': {
+        const restore = RESTORE[entry.table];
+        if (!restore) {
+          return { action: 'failed', targetId: entry.id, error: `cannot restore ${entry.table} documents` };
+        }
+
+        if (config.dryRun) {
+          plan.add({ type: entry.table, id: entry.id, action: 'restore' });
+          return { action: 'planned', targetId: entry.id };
+        }
+
+        const [mutation, args] = restore(entry.id, entry.previous);
+        await convexClient.mutation(mutation, args, { idempotent: true });
+        logger.info(`Restored ${entry.table} ${entry.id}`);
+        return { action: 'restored', targetId: entry.id };
+      }
+
+      case 'created': {
+        if (config.dryRun) {
+          plan.add({ type: entry.table, id: entry.id, action: 'delete' });
+          return { action: 'planned', targetId: entry.id };
+        }
+
+        await convexClient.mutation(`${entry.table}:remove`, { id: entry.id });
+        // Merged duplicates map several source IDs to the same document
+        for (const [sourceId, id] of registry.entries(entry.table)) {
+          if (id === entry.id) registry.delete(entry.table, sourceId);
+        }
+        logger.info(`Deleted ${entry.table} ${entry.id}`);
+        return { action: 'deleted', targetId: entry.id };
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to undo ${entry.op} ${entry.table ?? 'tag association'} ${entry.id ?? entry.recordId}:`, error);
+    return { action: 'failed', targetId: entry.id ?? entry.recordId, error: error.message };
+  }
+}
+
+/**
+ * @param {Object} document - Convex document
+ * @returns {Object} Document without Convex system fields
+ */
+function withoutSystemFields(document) {
+  return Object.fromEntries(Object.entries(document).filter(([key]) => !SYSTEM_FIELDS.includes(key)));
+}
+
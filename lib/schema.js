@@ -0,0 +1,128 @@
+/**
+ * Record Schemas
+ * ==============
+ *
+ * Declares the shape of every record the scripts send to Convex and checks
+ * transformed records against it before any mutation is called. Records that
+ * fail are rejected with a list of reasons instead of reaching Convex with
+ * missing or malformed fields.
+ *
+ * Field Rules
+ * -----------
+ * - type:      'string' | 'number' | 'boolean' | 'array' | 'object'
+ * - required:  Value must be present (not undefined, null or '')
+ * - minLength: Minimum length for strings
+ * - pattern:   RegExp strings must match
+ * - enum:      Allowed values
+ * - items:     Rule applied to every array element
+ * - fields:    Schema applied to a nested object
+ */
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const userSchema = {
+  mongoId: { type: 'string', required: true },
+  email: { type: 'string', required: true, pattern: EMAIL },
+  emailVerified: { type: 'boolean', required: true },
+  image: { type: 'string' },
+  imageStorageId: { type: 'string' },
+  isOnboardingComplete: { type: 'boolean', required: true },
+  name: { type: 'string', required: true, minLength: 1 },
+  firstName: { type: 'string' },
+  lastName: { type: 'string' },
+  phone: { type: 'string' },
+  orgIds: {
+    type: 'array',
+    required: true,
+    items: {
+      type: 'object',
+      fields: {
+        id: { type: 'string', required: true },
+        role: { type: 'string', required: true },
+        status: { type: 'string', required: true }
+      }
+    }
+  },
+  activeOrgId: { type: 'string' },
+  presence: {
+    type: 'object',
+    required: true,
+    fields: {
+      lastSeen: { type: 'string', required: true },
+      status: { type: 'string', required: true, enum: ['online', 'offline'] }
+    }
+  },
+  providers: { type: 'array', required: true, items: { type: 'string' } }
+};
+
+export const tagSchema = {
+  orgId: { type: 'string', required: true },
+  name: { type: 'string', required: true, minLength: 1 },
+  recordType: { type: 'string', required: true, enum: ['properties', 'contacts'] },
+  userIds: {
+    type: 'array',
+    required: true,
+    items: {
+      type: 'object',
+      fields: {
+        userId: { type: 'string', required: true },
+        role: { type: 'string', required: true }
+      }
+    }
+  },
+  mongoId: { type: 'string', required: true }
+};
+
+/**
+ * Checks a record against a schema
+ * @param {Object} record - Transformed record
+ * @param {Object} schema - Field rules keyed by field name
+ * @param {string} [prefix] - Field path prefix for nested objects
+ * @returns {string[]} Validation errors, empty when the record is valid
+ */
+export function validateRecord(record, schema, prefix = '') {
+  const errors = [];
+
+  for (const [key, rule] of Object.entries(schema)) {
+    errors.push(...checkValue(record?.[key], rule, prefix ? `${prefix}.${key}` : key));
+  }
+
+  return errors;
+}
+
+/**
+ * Checks a single value against a field rule
+ * @param {*} value - Field value
+ * @param {Object} rule - Field rule
+ * @param {string} field - Field path used in messages
+ * @returns {string[]} Validation errors
+ */
+function checkValue(value, rule, field) {
+  if (value === undefined || value === null || value === '') {
+    return rule.required ? [`${field} is required`] : [];
+  }
+
+  const actualType = Array.isArray(value) ? 'array' : typeof value;
+  if (actualType !== rule.type) {
+    return [`${field} must be ${rule.type}, got ${actualType}`];
+  }
+
+  const errors = [];
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    errors.push(`${field} must be at least ${rule.minLength} characters`);
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    errors.push(`${field} has an invalid format: ${JSON.stringify(value)}`);
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push(`${field} must be one of ${rule.enum.join(', ')}, got ${JSON.stringify(value)}`);
+  }
+  if (rule.items) {
+    value.forEach((item, index) => errors.push(...checkValue(item, rule.items, `${field}[${index}]`)));
+  }
+  if (rule.fields) {
+    errors.push(...validateRecord(value, rule.fields, field));
+  }
+
+  return errors;
+}
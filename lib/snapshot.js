@@ -0,0 +1,355 @@
+/**
+ * Offline Snapshots
+ * =================
+ *
+ * `node cli.js export [name...]` dumps the MongoDB collections the given
+ * migrations read (default: every migration that reads MongoDB) to
+ * SNAPSHOT_DIR (--snapshot), with the filters the migrations use:
+ * - users: users
+ * - tags:  tagdatas of TEAM_IDS, tagrefs of TAG_REF_TYPES
+ *
+ * Each collection becomes <collection>.ndjson, one document per line in
+ * canonical Extended JSON, so ObjectIds and dates read back with their
+ * types. snapshot.json records when and from which database the snapshot
+ * was taken, with the filter and document count of every collection.
+ *
+ * Snapshots hold complete documents: users include password hashes, OAuth
+ * IDs and personal data. Keep them under snapshots/ (git-ignored) or another
+ * private location, never commit or share them, and delete them when the
+ * rehearsal is over.
+ *
+ * Runs and verification read the snapshot instead of MongoDB when
+ * --snapshot is passed, so they need no MongoDB settings and can be
+ * repeated exactly:
+ *    node cli.js export users tags --snapshot snapshots/rehearsal
+ *    node cli.js run users --snapshot snapshots/rehearsal --dry-run
+ *
+ * SnapshotDb answers the part of the MongoDB API the migrations use: find()
+ * with sort() and toArray() or async iteration, and countDocuments().
+ * Filters support field equality (matching array elements too), dotted
+ * paths, $and, $or, $eq, $ne, $in, $nin, $gt, $gte, $lt, $lte, $exists and
+ * $type. Each collection is read into memory on first use. --watch needs a
+ * live MongoDB.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { BSON, MongoClient, ObjectId } from 'mongodb';
+import { ConfigError, requireConfig } from './config.js';
+import { readJsonFile, writeJsonAtomic } from './files.js';
+import { logger } from './logger.js';
+
+const { EJSON } = BSON;
+const MANIFEST = 'snapshot.json';
+
+/**
+ * Exports the collections of migrations to SNAPSHOT_DIR
+ * @param {Object[]} definitions - Migration definitions with a snapshot()
+ * @param {Object} config - Config from loadConfig()
+ * @throws {ConfigError} If settings are missing
+ */
+export async function exportSnapshot(definitions, config) {
+  requireConfig(config, ['mongodbUri', 'mongoDbName', 'snapshotDir', ...new Set(definitions.flatMap(definition => definition.required ?? []))]);
+
+  const collections = Object.assign({}, ...definitions.map(definition => definition.snapshot(config)));
+  const manifest = { exportedAt: new Date().toISOString(), mongoDbName: config.mongoDbName, collections: {} };
+  const mongoClient = new MongoClient(config.mongodbUri);
+
+  try {
+    logger.info("Connecting to MongoDB...");
+    await mongoClient.connect();
+    const db = mongoClient.db(config.mongoDbName);
+    fs.mkdirSync(config.snapshotDir, { recursive: true });
+
+    for (const [name, filter] of Object.entries(collections)) {
+      const filePath = path.join(config.snapshotDir, `${name}.ndjson`);
+      const count = await exportCollection(db.collection(name), filter, filePath);
+      manifest.collections[name] = { filter: EJSON.serialize(filter, { relaxed: false }), count };
+      logger.info(`${name}: ${count} documents written to ${filePath}`);
+    }
+  } finally {
+    await mongoClient.close();
+  }
+
+  writeJsonAtomic(path.join(config.snapshotDir, MANIFEST), manifest);
+  logger.info(`Snapshot written to ${config.snapshotDir}, use it with --snapshot ${config.snapshotDir}`);
+}
+
+/**
+ * Writes a collection as NDJSON through a temporary file
+ * @param {Collection} collection - MongoDB collection
+ * @param {Object} filter - Documents to export
+ * @param {string} filePath - NDJSON file to write
+ * @returns {Promise<number>} Documents written
+ */
+async function exportCollection(collection, filter, filePath) {
+  const tempPath = `${filePath}.tmp`;
+  const fd = fs.openSync(tempPath, 'w');
+  let count = 0;
+  try {
+    for await (const doc of collection.find(filter).sort({ _id: 1 })) {
+      fs.writeSync(fd, `${EJSON.stringify(doc, { relaxed: false })}\n`);
+      count++;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, filePath);
+  return count;
+}
+
+/**
+ * Opens the MongoDB source of a run: the snapshot in SNAPSHOT_DIR if set,
+ * MongoDB otherwise
+ * @param {Object} config - Config from loadConfig()
+ * @returns {Promise<{db: Object, close: Function}>} Database and a function releasing it
+ */
+export async function openSource(config) {
+  if (config.snapshotDir) {
+    const db = SnapshotDb.open(config.snapshotDir);
+    logger.info(`Reading the snapshot of ${db.manifest.mongoDbName} taken ${db.manifest.exportedAt}`);
+    return { db, close: async () => {} };
+  }
+
+  const mongoClient = new MongoClient(config.mongodbUri);
+  logger.info("Connecting to MongoDB...");
+  await mongoClient.connect();
+  logger.info("Connected to MongoDB.");
+  return { db: mongoClient.db(config.mongoDbName), close: () => mongoClient.close() };
+}
+
+export class SnapshotDb {
+  /**
+   * @param {string} directory - Snapshot directory
+   * @param {Object} manifest - Contents of snapshot.json
+   */
+  constructor(directory, manifest) {
+    this.directory = directory;
+    this.manifest = manifest;
+    this.documents = new Map();
+  }
+
+  /**
+   * @param {string} directory - Snapshot directory
+   * @returns {SnapshotDb} Snapshot
+   * @throws {ConfigError} If the directory holds no snapshot
+   */
+  static open(directory) {
+    const manifest = readJsonFile(path.join(directory, MANIFEST), 'snapshot manifest');
+    if (!manifest) {
+      throw new ConfigError(`No snapshot in ${directory}, create one with node cli.js export --snapshot ${directory}`);
+    }
+    return new SnapshotDb(directory, manifest);
+  }
+
+  /**
+   * @param {string} name - Collection name
+   * @returns {SnapshotCollection} Collection
+   */
+  collection(name) {
+    return new SnapshotCollection(name, () => this.load(name));
+  }
+
+  /**
+   * @param {string} name - Collection name
+   * @returns {Object[]} Every exported document of the collection
+   * @throws {Error} If the collection was not exported
+   */
+  load(name) {
+    if (!this.documents.has(name)) {
+      if (!this.manifest.collections[name]) {
+        throw new Error(`The snapshot in ${this.directory} has no ${name} collection, export it again with the migration that reads it`);
+      }
+      const lines = fs.readFileSync(path.join(this.directory, `${name}.ndjson`), 'utf8').split('\n').filter(Boolean);
+      this.documents.set(name, lines.map(line => EJSON.parse(line, { relaxed: true })));
+    }
+    return this.documents.get(name);
+  }
+}
+
+class SnapshotCollection {
+  /**
+   * @param {string} name - Collection name
+   * @param {Function} load - Returns every document of the collection
+   */
+  constructor(name, load) {
+    this.name = name;
+    this.load = load;
+  }
+
+  /**
+   * @param {Object} [filter] - MongoDB filter
+   * @returns {SnapshotCursor} Matching documents
+   */
+  find(filter = {}) {
+    return new SnapshotCursor(() => this.load().filter(doc => matches(doc, filter)));
+  }
+
+  /**
+   * @param {Object} [filter] - MongoDB filter
+   * @returns {Promise<number>} Matching documents
+   */
+  async countDocuments(filter = {}) {
+    return this.load().filter(doc => matches(doc, filter)).length;
+  }
+
+  watch() {
+    throw new ConfigError(`Cannot watch ${this.name}: --watch needs a live MongoDB, not a snapshot`);
+  }
+}
+
+class SnapshotCursor {
+  /**
+   * @param {Function} read - Returns the matching documents
+   */
+  constructor(read) {
+    this.read = read;
+    this.order = null;
+  }
+
+  /**
+   * @param {Object} order - Fields to sort by, 1 ascending, -1 descending
+   * @returns {SnapshotCursor} This cursor
+   */
+  sort(order) {
+    this.order = order;
+    return this;
+  }
+
+  /**
+   * @returns {Promise<Object[]>} Matching documents
+   */
+  async toArray() {
+    const docs = this.read();
+    if (!this.order) return docs;
+
+    const fields = Object.entries(this.order);
+    return [...docs].sort((a, b) => {
+      for (const [field, direction] of fields) {
+        const order = compare(valueAt(a, field), valueAt(b, field)) ?? 0;
+        if (order !== 0) return order * direction;
+      }
+      return 0;
+    });
+  }
+
+  async *[Symbol.asyncIterator]() {
+    yield* await this.toArray();
+  }
+}
+
+const OPERATORS = {
+  $eq: (value, arg) => equals(value, arg),
+  $ne: (value, arg) => !equals(value, arg),
+  $in: (value, arg) => arg.some(item => equals(value, item)),
+  $nin: (value, arg) => !arg.some(item => equals(value, item)),
+  $gt: (value, arg) => someValue(value, item => compare(item, arg) > 0),
+  $gte: (value, arg) => someValue(value, item => compare(item, arg) >= 0),
+  $lt: (value, arg) => someValue(value, item => compare(item, arg) < 0),
+  $lte: (value, arg) => someValue(value, item => compare(item, arg) <= 0),
+  $exists: (value, arg) => (value !== undefined) === Boolean(arg),
+  $type: (value, arg) => typeName(value) === arg
+};
+
+/**
+ * @param {Object} doc - Document
+ * @param {Object} filter - MongoDB filter
+ * @returns {boolean} True if the document matches
+ * @throws {Error} For operators the snapshot does not support
+ */
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (field === '$and') return condition.every(part => matches(doc, part));
+    if (field === '$or') return condition.some(part => matches(doc, part));
+
+    const value = valueAt(doc, field);
+    if (!isOperatorObject(condition)) return equals(value, condition);
+
+    return Object.entries(condition).every(([operator, arg]) => {
+      if (!OPERATORS[operator]) {
+        throw new Error(`${operator} is not supported when reading a snapshot`);
+      }
+      return OPERATORS[operator](value, arg);
+    });
+  });
+}
+
+/**
+ * @param {Object} doc - Document
+ * @param {string} field - Field name, possibly a dotted path
+ * @returns {*} Value, undefined if missing
+ */
+function valueAt(doc, field) {
+  return field.split('.').reduce((value, key) => value?.[key], doc);
+}
+
+/**
+ * @param {*} condition - Filter value
+ * @returns {boolean} True for objects like { $in: [...] }
+ */
+function isOperatorObject(condition) {
+  if (condition?.constructor !== Object) return false;
+  const keys = Object.keys(condition);
+  return keys.length > 0 && keys.every(key => key.startsWith('$'));
+}
+
+/**
+ * Equality as MongoDB matches it: arrays match if any element does, and
+ * null matches missing fields
+ * @param {*} value - Document value
+ * @param {*} expected - Filter value
+ * @returns {boolean} True if equal
+ */
+function equals(value, expected) {
+  if (expected === null) return value === null || value === undefined;
+  return someValue(value, item => compare(item, expected) === 0)
+    || (Array.isArray(value) && JSON.stringify(value) === JSON.stringify(expected));
+}
+
+/**
+ * @param {*} value - Document value
+ * @param {Function} test - Predicate
+ * @returns {boolean} True if the value, or for arrays any element, passes
+ */
+function someValue(value, test) {
+  return Array.isArray(value) ? value.some(test) : test(value);
+}
+
+/**
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {number|null} Negative, zero or positive, or null if the values are not comparable
+ */
+function compare(a, b) {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === undefined || right === undefined || typeof left !== typeof right) return null;
+  if (left < right) return -1;
+  return left > right ? 1 : 0;
+}
+
+/**
+ * @param {*} value - Document or filter value
+ * @returns {*} Primitive with the same order, undefined for anything else
+ */
+function comparable(value) {
+  if (value instanceof ObjectId) return value.toHexString();
+  if (value instanceof Date) return value.getTime();
+  if (['string', 'number', 'boolean'].includes(typeof value)) return value;
+  return undefined;
+}
+
+/**
+ * @param {*} value - Document value
+ * @returns {string|undefined} MongoDB $type alias
+ */
+function typeName(value) {
+  if (value === undefined) return undefined;
+  if (value === null) return 'null';
+  if (value instanceof ObjectId) return 'objectId';
+  if (value instanceof Date) return 'date';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'int' : 'double';
+  if (typeof value === 'boolean') return 'bool';
+  return typeof value;
+}
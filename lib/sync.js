@@ -0,0 +1,220 @@
+/**
+ * Incremental Sync
+ * ================
+ *
+ * Keeps Convex current while MongoDB is still the live system.
+ *
+ * Watermarks
+ * ----------
+ * A sync run only reads documents whose `updatedAt` is newer than the
+ * watermark saved by the previous sync run. The new watermark is MongoDB's
+ * clock when the scan started, less WATERMARK_OVERLAP_MS, so documents
+ * updated while the scan ran (after the cursor passed them) and documents
+ * stamped by writers whose clocks lag behind MongoDB are read again by the
+ * next sync. A document that failed holds the watermark just before its
+ * `updatedAt`, so the next sync retries it. Documents without `updatedAt`
+ * are only picked up by a full run.
+ *
+ * Change Streams
+ * --------------
+ * watchCollection() tails a collection with a MongoDB change stream (replica
+ * set or Atlas required) and hands every inserted, updated or replaced
+ * document to the script's upsert function. The first watch starts at the
+ * cluster time read before the catch-up scan, so changes made during the
+ * scan are not missed. The stream's resume token, and a watermark at the
+ * change's cluster time, are saved after each change that was applied. A
+ * change that fails stops the watcher without saving either, so a restarted
+ * watcher retries it and continues from there.
+ *
+ * State is stored per script in <syncStateDir>/<name>.json, keyed by
+ * collection name.
+ */
+
+import path from 'node:path';
+import { readJsonFile, writeJsonAtomic } from './files.js';
+import { SnapshotDb } from './snapshot.js';
+import { logger } from './logger.js';
+
+// How far before the scan start the watermark is saved
+const WATERMARK_OVERLAP_MS = 60 * 1000;
+
+export class SyncState {
+  /**
+   * @param {string} filePath - Sync state file location
+   * @param {Object} [data] - Saved state keyed by collection name
+   */
+  constructor(filePath, data = {}) {
+    this.filePath = filePath;
+    this.data = data;
+    this.pending = {};
+    this.held = {};
+  }
+
+  /**
+   * Opens the sync state for a script
+   * @param {string} directory - Sync state directory
+   * @param {string} name - Script name, used as the file name
+   * @returns {SyncState} Loaded sync state
+   */
+  static open(directory, name) {
+    const filePath = path.join(directory, `${name}.json`);
+    return new SyncState(filePath, readJsonFile(filePath, 'sync state') ?? {});
+  }
+
+  /**
+   * @param {string} collection - Collection name
+   * @returns {Date|null} Watermark saved by the last sync run
+   */
+  watermark(collection) {
+    const value = this.data[collection]?.watermark;
+    return value ? new Date(value) : null;
+  }
+
+  /**
+   * Builds a MongoDB filter for documents changed since the watermark
+   * @param {string} collection - Collection name
+   * @returns {Object} Filter, empty when there is no watermark yet
+   */
+  changedSinceFilter(collection) {
+    const watermark = this.watermark(collection);
+    return watermark ? { updatedAt: { $gt: watermark } } : {};
+  }
+
+  /**
+   * Notes the start of a scan, the watermark commit() saves unless a
+   * document fails
+   * @param {string} collection - Collection name
+   * @param {Date} startedAt - MongoDB time from serverTime(), read before the scan
+   */
+  begin(collection, startedAt) {
+    this.pending[collection] = new Date(startedAt.getTime() - WATERMARK_OVERLAP_MS);
+  }
+
+  /**
+   * Moves the watermark forward to a change applied by a watcher
+   * @param {string} collection - Collection name
+   * @param {Date} appliedAt - Cluster time of the change
+   */
+  advance(collection, appliedAt) {
+    const watermark = new Date(appliedAt.getTime() - WATERMARK_OVERLAP_MS);
+    const current = this.pending[collection] ?? this.watermark(collection);
+    if (!current || watermark > current) {
+      this.pending[collection] = watermark;
+    }
+  }
+
+  /**
+   * Keeps the watermark before a document that failed, for the rest of the
+   * run, so the next sync reads it again
+   * @param {string} collection - Collection name
+   * @param {Object} document - MongoDB document
+   */
+  hold(collection, document) {
+    if (!document.updatedAt) return;
+
+    const before = new Date(new Date(document.updatedAt).getTime() - 1);
+    if (!this.held[collection] || before < this.held[collection]) {
+      this.held[collection] = before;
+    }
+  }
+
+  /**
+   * @param {string} collection - Collection name
+   * @returns {Object|null} Saved change stream resume token
+   */
+  resumeToken(collection) {
+    return this.data[collection]?.resumeToken ?? null;
+  }
+
+  /**
+   * @param {string} collection - Collection name
+   * @param {Object} token - Change stream resume token
+   */
+  setResumeToken(collection, token) {
+    this.data[collection] = { ...this.data[collection], resumeToken: token };
+  }
+
+  /**
+   * Persists advanced watermarks, never past a failed document, and resume
+   * tokens
+   */
+  commit() {
+    for (const collection of new Set([...Object.keys(this.pending), ...Object.keys(this.held)])) {
+      // A collection without a watermark yet keeps being read in full
+      const next = this.pending[collection] ?? this.watermark(collection);
+      if (!next) continue;
+
+      const held = this.held[collection];
+      const watermark = held && held < next ? held : next;
+      this.data[collection] = { ...this.data[collection], watermark: watermark.toISOString() };
+    }
+    this.pending = {};
+    writeJsonAtomic(this.filePath, this.data);
+  }
+}
+
+/**
+ * Reads MongoDB's clock, the time a scan starts for its watermark
+ * A snapshot was taken at its export time.
+ * @param {Db|SnapshotDb} db - MongoDB database or snapshot
+ * @returns {Promise<Date>} Server time
+ */
+export async function serverTime(db) {
+  if (db instanceof SnapshotDb) {
+    return new Date(db.manifest.exportedAt);
+  }
+  const { localTime } = await db.command({ hello: 1 });
+  return localTime;
+}
+
+/**
+ * Reads the cluster time, to start change streams from before a catch-up scan
+ * @param {Db} db - MongoDB database
+ * @returns {Promise<Timestamp|null>} Operation time, null outside replica sets
+ */
+export async function clusterTime(db) {
+  const { operationTime } = await db.command({ ping: 1 });
+  return operationTime ?? null;
+}
+
+/**
+ * Tails a collection and applies every change until the process is stopped
+ * Without a saved resume token the stream starts at startAt, so changes made
+ * while the catch-up scan ran are applied too.
+ * @param {Collection} collection - MongoDB collection
+ * @param {SyncState} syncState - Sync state for resume tokens and watermarks
+ * @param {Function} onDocument - Async upsert called with each changed document, throwing if it failed
+ * @param {Timestamp|null} [startAt] - Cluster time from clusterTime() taken before the catch-up
+ * @returns {Promise<void>} Resolves only if the change stream closes
+ * @throws {Error} If a change fails, after the last applied change was saved
+ */
+export async function watchCollection(collection, syncState, onDocument, startAt = null) {
+  const name = collection.collectionName;
+  const resumeToken = syncState.resumeToken(name);
+  const start = resumeToken
+    ? { startAfter: resumeToken }
+    : startAt && { startAtOperationTime: startAt };
+
+  const stream = collection.watch(
+    [{ $match: { operationType: { $in: ['insert', 'update', 'replace'] } } }],
+    { fullDocument: 'updateLookup', ...start }
+  );
+
+  logger.info(`Watching ${name} for changes${resumeToken ? ' (resuming change stream)' : startAt ? ' since the catch-up started' : ''}...`);
+
+  for await (const change of stream) {
+    // fullDocument is null when the document was deleted before the lookup
+    if (change.fullDocument) {
+      try {
+        await onDocument(change.fullDocument);
+      } catch (error) {
+        throw new Error(`Stopped watching ${name} at the change to ${change.documentKey._id}, restart to retry it: ${error.message}`, { cause: error });
+      }
+    }
+
+    // The cluster time's high bits are seconds since the epoch
+    syncState.advance(name, new Date(change.clusterTime.getHighBits() * 1000));
+    syncState.setResumeToken(name, change._id);
+    syncState.commit();
+  }
+}
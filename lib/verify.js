@@ -0,0 +1,190 @@
+/**
+ * Verification
+ * ============
+ *
+ * Compares MongoDB with Convex after a migration, run with
+ * `node cli.js verify [name...]` (default: every migration that supports
+ * it). Nothing is written to Convex. With --snapshot the MongoDB side is read
+ * from an offline snapshot (see lib/snapshot.js).
+ *
+ * Upsert migrations (users) are verified generically: every source document
+ * goes through the migration's own transform(), schema and skip(), and the
+ * result is compared with the Convex document its `key` finds (setup() and
+ * transform() see context.verifying and must not write). Migrations
+ * that are not a single upsert provide a verify(context) function in their
+ * definition instead (tags compares tags and tag associations).
+ *
+ * Every compared record gets one of these statuses:
+ * - matched:    Convex has the record with the expected fields
+ * - mismatched: Convex has the record but some fields differ
+ * - missing:    Convex has no counterpart
+ * - extra:      Convex (or the ID registry) has a record MongoDB no longer has
+ * - skipped:    The migration would not write the record, e.g. rejected or
+ *               without orgs, so it is not expected in Convex
+ * - failed:     The record could not be checked, e.g. a Convex query failed
+ *
+ * Fields listed in a definition's `volatile` (rewritten on every run, such
+ * as presence.lastSeen) are left out of the comparison.
+ *
+ * Output
+ * ------
+ * The counts per record type and status are printed and written as a run
+ * report (REPORT_DIR/verify-<timestamp>.json and .csv). Every record that is
+ * not matched or skipped is written with its field differences to
+ * REPORT_DIR/verify-<timestamp>-diff.json:
+ *
+ * { "type": "user", "status": "mismatched", "sourceId": "628c...", "targetId": "jx7...",
+ *   "changes": [{ "field": "name", "from": "Jane Doe", "to": "Jane Smith" }] }
+ *
+ * `from` is the value in Convex, `to` the value the migration would write.
+ * The command exits with code 1 when there are differences.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { ConvexHttpClient } from 'convex/browser';
+import { ConfigError, requireConfig } from './config.js';
+import { IdRegistry } from './idRegistry.js';
+import { diffFields } from './plan.js';
+import { validateRecord } from './schema.js';
+import { requiredConfig } from './migration.js';
+import { openSource } from './snapshot.js';
+import { Executor } from './executor.js';
+import { RunReport } from './report.js';
+import { logger } from './logger.js';
+
+const DIFFERENCES = ['mismatched', 'missing', 'extra', 'failed'];
+
+/**
+ * @param {Object} definition - Migration definition
+ * @returns {boolean} True if the migration can be verified
+ */
+export function canVerify(definition) {
+  return Boolean(definition.verify || definition.target);
+}
+
+/**
+ * Verifies migrations against Convex
+ * @param {Object[]} definitions - Migration definitions to verify
+ * @param {Object} config - Config from loadConfig()
+ * @throws {ConfigError} If a migration cannot be verified or settings are missing
+ */
+export async function verifyMigrations(definitions, config) {
+  const unsupported = definitions.filter(definition => !canVerify(definition));
+  if (unsupported.length > 0) {
+    throw new ConfigError(`Cannot verify ${unsupported.map(definition => definition.name).join(', ')}: no verify() and not an upsert migration`);
+  }
+  requireConfig(config, [...new Set(definitions.flatMap(definition => requiredConfig(definition, config)))]);
+
+  const executor = Executor.fromConfig(config);
+  const report = new RunReport('verify');
+  const differences = [];
+  const context = {
+    config,
+    executor,
+    convexClient: executor.wrapClient(new ConvexHttpClient(config.convexUrl)),
+    registry: IdRegistry.load(config.idMapFile),
+    report,
+    verifying: true,
+    verified: (type, status, { sourceId, targetId = null, changes = [], reason = null }) => {
+      report.record({ type, sourceId, targetId, action: status, error: reason ?? (changes.map(change => change.field).join(', ') || null) });
+      if (DIFFERENCES.includes(status)) {
+        differences.push({ type, status, sourceId, targetId, changes, ...(reason && { reason }) });
+      }
+    }
+  };
+
+  const mongo = await openSource(config);
+  try {
+    context.db = mongo.db;
+
+    if (definitions.some(definition => definition.authenticate)) {
+      context.convexClient.setAuth(config.authToken);
+    }
+
+    for (const definition of definitions) {
+      logger.info(`Verifying ${definition.name}...`);
+      await (definition.verify ? definition.verify(context) : verifyUpsert(definition, context));
+    }
+  } finally {
+    await mongo.close();
+  }
+
+  report.logSummary();
+  fs.mkdirSync(config.reportDir, { recursive: true });
+  const diffPath = path.join(config.reportDir, `${report.runId}-diff.json`);
+  fs.writeFileSync(diffPath, JSON.stringify(differences, null, 2));
+  logger.info(`Differences written to ${diffPath}`);
+  report.write(config.reportDir, config.reportFormats);
+
+  if (differences.length > 0) {
+    logger.warn(`${differences.length} records differ between MongoDB and Convex`);
+    process.exitCode = 1;
+  } else {
+    logger.info("Convex matches MongoDB.");
+  }
+}
+
+/**
+ * Verifies an upsert migration with its own transform, schema and skip()
+ * Convex documents that the ID registry maps to source documents that no
+ * longer exist are reported as extra.
+ * @param {Object} definition - Upsert migration definition
+ * @param {Object} context - Verification state (config, executor, convexClient, db, registry, verified)
+ */
+async function verifyUpsert(definition, context) {
+  const { type, schema, key, target, source } = definition;
+  const { executor, convexClient, db, registry, verified } = context;
+  const seen = new Set();
+
+  // Transforms may rely on lookups loaded by setup()
+  await definition.setup?.(context);
+
+  const cursor = db.collection(source.collection).find(source.filter?.(context.config) ?? {}).sort({ _id: 1 });
+  for await (const batch of executor.batches(cursor)) {
+    await executor.map(batch, async doc => {
+      const sourceId = doc._id.toString();
+      seen.add(sourceId);
+
+      let expected;
+      try {
+        expected = await definition.transform(doc, context);
+      } catch (error) {
+        return verified(type, 'skipped', { sourceId, reason: `transform failed: ${error.message}` });
+      }
+      const errors = schema ? validateRecord(expected, schema) : [];
+      const skipReason = errors.length > 0 ? `rejected: ${errors.join('; ')}` : definition.skip?.(expected, context, doc);
+      if (skipReason) {
+        return verified(type, 'skipped', { sourceId, reason: skipReason });
+      }
+
+      let actual;
+      try {
+        actual = await convexClient.query(target.find, { [key]: expected[key] });
+      } catch (error) {
+        return verified(type, 'failed', { sourceId, reason: error.message });
+      }
+      if (!actual) {
+        return verified(type, 'missing', { sourceId, reason: `no ${target.table} document with ${key} ${expected[key]}` });
+      }
+
+      const changes = diffFields(actual, withoutFields(expected, definition.volatile ?? []));
+      verified(type, changes.length > 0 ? 'mismatched' : 'matched', { sourceId, targetId: actual._id, changes });
+    });
+  }
+
+  for (const [sourceId, targetId] of registry.entries(target.table)) {
+    if (!seen.has(sourceId)) {
+      verified(type, 'extra', { sourceId, targetId, reason: `not in ${source.collection}` });
+    }
+  }
+}
+
+/**
+ * @param {Object} record - Transformed record
+ * @param {string[]} fields - Top-level fields to leave out
+ * @returns {Object} Record without the fields
+ */
+function withoutFields(record, fields) {
+  return Object.fromEntries(Object.entries(record).filter(([field]) => !fields.includes(field)));
+}
@@ -0,0 +1,16 @@
+/**
+ * Migration Registry
+ * ==================
+ *
+ * Every migration `node cli.js run <name>` can run, keyed by name. New
+ * migrations are declared with defineMigration() (lib/migration.js) in their
+ * own file and added here.
+ */
+
+import users from './users.js';
+import tags from './tags.js';
+import properties from './properties.js';
+
+export const migrations = Object.fromEntries(
+  [users, tags, properties].map(migration => [migration.name, migration])
+);
@@ -0,0 +1,424 @@
+/**
+ * Property Coordinates Migration
+ * ==============================
+ * 
+ * Updates property coordinates in Convex by geocoding addresses.
+ * It processes all properties of the authenticated user's active organization,
+ * or of the organizations listed in ORG_IDS, and adds/updates their location
+ * coordinates.
+ * 
+ * Prerequisites
+ * ------------
+ * 1. Node.js installed
+ * 2. Required npm packages:
+ *    - convex/browser
+ *    - axios
+ * 
+ * Setup
+ * -----
+ * 1. Install dependencies:
+ *    npm install convex axios
+ * 
+ * 2. Configure the following settings (CLI flag, environment variable or
+ *    config file, see lib/config.js):
+ *    - CONVEX_URL (--convex-url): Your Convex deployment URL
+ *    - GEOCODERS (--geocoders): Geocoding providers in fallback order,
+ *      defaults to google. One of google, nominatim, mapbox, centroid, mock
+ *      (see lib/geocoders.js)
+ *    - GOOGLE_API_KEY (--google-api-key): Your Google Maps API key with
+ *      Geocoding API enabled, for the google provider
+ *    - MAPBOX_TOKEN (--mapbox-token): For the mapbox provider
+ *    - NOMINATIM_URL (--nominatim-url): For the nominatim provider, defaults
+ *      to the public OpenStreetMap instance
+ *    - CENTROID_FILE (--centroid-file): ZIP centroid CSV for the centroid
+ *      provider
+ *    - AUTH_TOKEN (--auth-token): Your Convex authentication token
+ *    - ORG_IDS (--org-ids): Convex org IDs to process in turn, or "all" for
+ *      every org the viewer is an active member of. Defaults to the viewer's
+ *      active org
+ * 
+ * Usage
+ * -----
+ * Run the migration:
+ *    node cli.js run properties --config merge-convex.config.json
+ * 
+ * The migration will:
+ * 1. Authenticate with Convex
+ * 2. Stream the properties of each org page by page, one org after another
+ * 3. Geocode each property's address, asking the next provider in GEOCODERS
+ *    whenever one has no confident result
+ * 4. Update the property with new coordinates, or queue it for review
+ * 
+ * Throughput
+ * ----------
+ * Pages of 1000 properties are fetched as they are needed rather than all up
+ * front. GEOCODE_CONCURRENCY (--geocode-concurrency, default 4) properties
+ * are geocoded at once, while a token bucket per provider keeps requests
+ * within its quota (GEOCODE_RATE, --geocode-rate, overrides the defaults)
+ * and slows down when a provider answers OVER_QUERY_LIMIT or HTTP 429.
+ * 
+ * Review Queue
+ * ------------
+ * Every result carries a confidence between 0 and 1 (see lib/geocoders.js).
+ * Results below GEOCODE_MIN_CONFIDENCE (--min-confidence, default 0.7), and
+ * results whose best candidates are equally likely but more than 250 m
+ * apart, are not written. The property is added to GEOCODE_REVIEW_FILE (--review-file,
+ * default geocode-review.json) with its top candidates instead. Pick a
+ * candidate for each entry and run node cli.js apply-review to write them
+ * (see lib/geocodeReview.js).
+ * 
+ * Address Normalization
+ * ---------------------
+ * Addresses are normalized before they are geocoded (see lib/address.js):
+ * ZIP codes are padded to five digits, street suffixes and unit designators
+ * get their USPS abbreviations, state names become codes and missing parts
+ * are left out. Pass --write-address (WRITE_ADDRESS) to also write the
+ * normalized address back to properties whose street, city, state or zip
+ * text differs; numeric zips keep their type. The previous address is
+ * journaled like the location.
+ * 
+ * Geocode Cache
+ * -------------
+ * Results, including ones sent to review, are cached in GEOCODE_CACHE
+ * (--geocode-cache, default geocode-cache.json) keyed on the normalized
+ * address, so an address is never geocoded twice, even across runs. Properties that already have a
+ * location are skipped unless their address changed since it was geocoded
+ * or --force is passed.
+ * 
+ * Pass --dry-run to geocode without calling properties:updateProperty. The
+ * migration prints the planned coordinate changes instead, and --plan-file <path>
+ * saves them as JSON.
+ * 
+ * Progress (the page cursor, last processed property and counters) is saved
+ * to CHECKPOINT_DIR (--checkpoint-dir, default .checkpoints) after every
+ * batch of BATCH_SIZE properties. After a crash or Ctrl-C, rerun with --resume to continue from the
+ * page the run stopped on without geocoding finished properties again.
+ * 
+ * Each property's previous location is appended to JOURNAL_DIR/<runId>.ndjson
+ * (--journal-dir, default journals), so node cli.js rollback <runId> can restore
+ * the coordinates the run replaced.
+ * 
+ * Output
+ * ------
+ * The migration provides detailed logging:
+ * - Progress of property fetching
+ * - Individual property processing status
+ * - New coordinates for each property
+ * - Final summary with success/error counts, overall and per org
+ * - A run report with each property's outcome, error and duration, written
+ *   to REPORT_DIR (--report-dir, default reports) as JSON and CSV
+ *   (--report-format json,csv)
+ * LOG_LEVEL (--log-level) sets console verbosity.
+ */
+
+import { ConfigError } from '../lib/config.js';
+import { defineMigration } from '../lib/migration.js';
+import { diffFields } from '../lib/plan.js';
+import { GeocoderChain } from '../lib/geocoders.js';
+import { formatAddress, normalizeAddress } from '../lib/address.js';
+import { GeocodeCache } from '../lib/geocodeCache.js';
+import { GeocodeReview } from '../lib/geocodeReview.js';
+import { logger } from '../lib/logger.js';
+
+export default defineMigration({
+  name: 'properties',
+  type: 'property',
+  authenticate: true,
+  // Geocoding requests are spaced out by the providers' rate limiters
+  concurrency: config => config.geocodeConcurrency,
+  setup: context => {
+    context.geocoder = GeocoderChain.fromConfig(context.config);
+    context.geocodeCache = GeocodeCache.load(context.config.geocodeCacheFile);
+    context.geocodeReview = GeocodeReview.load(context.config.reviewFile);
+  },
+  flush: ({ geocodeCache, geocodeReview }) => {
+    geocodeCache?.flush();
+    geocodeReview?.flush();
+  },
+  finish: ({ config, geocodeReview, orgTotals }) => {
+    logOrgSummary(orgTotals);
+    if (geocodeReview.size > 0) {
+      logger.info(`${geocodeReview.size} properties are waiting for review in ${config.reviewFile}, choose their coordinates and run node cli.js apply-review`);
+    }
+  },
+  source: {
+    fetch: fetchProperties,
+    // Resumed runs refetch the page the last property was on
+    checkpoint: (property, context) => ({ ...context.pageCursors.get(property), orgTotals: context.orgTotals })
+  },
+  process: async (property, context) => {
+    const { orgId } = context.pageCursors.get(property);
+    let outcome = { action: 'failed' };
+    try {
+      outcome = await processProperty(property, `[${++context.position}/${context.fetched}]`, context);
+      return outcome;
+    } finally {
+      // Counted per org for the summary, errors thrown count as failed
+      const totals = context.orgTotals[orgId];
+      totals[outcome.action] = (totals[outcome.action] ?? 0) + 1;
+    }
+  }
+});
+
+/**
+ * Picks the organizations to process from ORG_IDS
+ * @param {Object} config - Config from loadConfig()
+ * @param {Object} user - Authenticated viewer
+ * @returns {string[]} Convex org IDs in the order they are processed
+ * @throws {ConfigError} If no orgs are given and the viewer has no active org
+ */
+function selectOrgs(config, user) {
+  const memberships = (user.orgIds ?? []).filter(org => org.status === 'active').map(org => org.id);
+
+  if (config.orgIds.length === 0) {
+    if (!user.activeOrgId) {
+      throw new ConfigError("The viewer has no active organization, choose the orgs with --org-ids (or ORG_IDS), e.g. --org-ids all");
+    }
+    return [user.activeOrgId];
+  }
+  if (config.orgIds.includes('all')) {
+    return memberships;
+  }
+
+  const unknown = config.orgIds.filter(orgId => !memberships.includes(orgId));
+  if (unknown.length > 0) {
+    logger.warn(`Skipping orgs the viewer is not an active member of: ${unknown.join(', ')}`);
+  }
+  return config.orgIds.filter(orgId => memberships.includes(orgId));
+}
+
+/**
+ * Streams the properties of each selected organization page by page
+ * Organizations are processed in turn. Pages of 1000 properties are fetched
+ * as the run gets to them, so only the current page is held in memory. On
+ * resume, fetching starts at the checkpointed org and page, and properties
+ * up to the last processed one are skipped.
+ * @param {Object} context - Shared run state, extended with pageCursors,
+ *   orgTotals and the fetched and position counters for progress lines
+ * @param {Object|null} resumeState - Checkpoint being resumed
+ * @yields {Object} Properties still to process
+ */
+async function* fetchProperties(context, resumeState) {
+  const { config, convexClient, user } = context;
+
+  const orgs = selectOrgs(config, user);
+  // Orgs finished before the checkpoint are not fetched again
+  const resumeIndex = resumeState?.orgId ? orgs.indexOf(resumeState.orgId) : 0;
+  if (resumeIndex < 0) {
+    throw new Error(`Checkpointed org ${resumeState.orgId} is not among the selected orgs, pass the same --org-ids as the interrupted run`);
+  }
+
+  logger.info(`Starting to update coordinates for ${orgs.length} org${orgs.length === 1 ? '' : 's'}...`);
+
+  // Org and cursor each property's page was fetched with, saved in checkpoints
+  context.pageCursors = new WeakMap();
+  context.orgTotals = resumeState?.orgTotals ?? {};
+  context.fetched = 0;
+  context.position = 0;
+
+  for (const [index, orgId] of orgs.entries()) {
+    if (index < resumeIndex) continue;
+
+    const resuming = resumeState && index === resumeIndex;
+    let cursor = resuming ? resumeState.pageCursor ?? null : null;
+    let isDone = false;
+    let totalPages = 0;
+    context.orgTotals[orgId] ??= {};
+    logger.info(`\nOrg ${orgId} (${index + 1}/${orgs.length})`);
+
+    while (!isDone) {
+      const result = await convexClient.query('properties:getProperties', {
+        orgId,
+        paginationOpts: { cursor, numItems: 1000 },
+        isDeleted: false
+      });
+
+      if (!result.page.length) {
+        break;
+      }
+
+      totalPages++;
+      let page = result.page;
+      // Skip properties on the resumed page that were already processed
+      if (totalPages === 1 && resuming) {
+        page = page.slice(page.findIndex(property => property._id === resumeState.lastId) + 1);
+      }
+      page.forEach(property => context.pageCursors.set(property, { orgId, pageCursor: cursor }));
+      context.fetched += page.length;
+      logger.info(`Fetched page ${totalPages} with ${result.page.length} properties...`);
+
+      cursor = result.continueCursor;
+      isDone = result.isDone;
+      yield* page;
+    }
+
+    logger.info(`Org ${orgId}: ${totalPages} pages`);
+  }
+}
+
+/**
+ * Logs one summary line per processed org
+ * @param {Object} orgTotals - Outcome counts keyed by org ID, then action
+ */
+function logOrgSummary(orgTotals) {
+  logger.info("\nSummary per org:");
+  for (const [orgId, actions] of Object.entries(orgTotals)) {
+    const counts = Object.entries(actions).map(([action, count]) => `${action}: ${count}`);
+    logger.info(`${orgId} - ${counts.join(', ') || 'no properties'}`);
+  }
+}
+
+/**
+ * Geocodes a single property and writes its new coordinates, or queues it
+ * for review when the result is not confident enough
+ * With --write-address the normalized address is written as well, also for
+ * properties whose location is kept.
+ * @param {Object} property - Convex property document
+ * @param {string} progress - Progress prefix for log lines, e.g. "[3/120]"
+ * @param {Object} context - Shared run state (config, convexClient, plan, journal, geocoder, geocodeCache, geocodeReview)
+ * @returns {Promise<{action: string, targetId?: string, error?: string}>} Outcome for the run report
+ */
+async function processProperty(property, progress, context) {
+  const { config, plan, geocoder, geocodeCache, geocodeReview } = context;
+
+  if (!property.address) {
+    logger.info(`${progress} Skipping property ${property._id}: No address found`);
+    return { action: 'skipped', targetId: property._id, error: 'no address' };
+  }
+
+  // Normalized address to write back, if it differs from the stored one
+  const address = normalizeAddress(property.address);
+  const cleaned = config.writeAddress ? cleanedAddress(property.address) : null;
+
+  // Properties that already have a location keep it unless their address
+  // changed since it was geocoded, or --force is passed
+  const addressKey = GeocodeCache.key(address);
+  if (property.location && !config.force && !geocodeCache.addressChanged(property._id, addressKey)) {
+    logger.info(`${progress} Skipping property ${property._id}: Already located`);
+    return cleaned
+      ? writeProperty(property, { address: cleaned }, context)
+      : { action: 'skipped', targetId: property._id, error: 'already located' };
+  }
+  if (geocodeReview.skipped(property._id, addressKey)) {
+    logger.info(`${progress} Skipping property ${property._id}: Skipped in review`);
+    return cleaned
+      ? writeProperty(property, { address: cleaned }, context)
+      : { action: 'skipped', targetId: property._id, error: 'skipped in review' };
+  }
+
+  logger.info(`\n${progress} Processing:`);
+  logger.info(`Property ID: ${property._id}`);
+  logger.info(`Address: ${formatAddress(address)}`);
+  
+  // Get coordinates from the cache, scored against the current threshold, or
+  // from the first provider with a confident result
+  const cachedResult = geocodeCache.get(addressKey);
+  let result = cachedResult && geocoder.score(cachedResult.provider, cachedResult.candidates);
+  if (!result) {
+    result = await geocoder.geocode(address);
+    if (result) geocodeCache.set(addressKey, result);
+  }
+  
+  if (!result) {
+    logger.info(`Could not get coordinates for property ${property._id}`);
+    if (cleaned) await writeProperty(property, { address: cleaned }, context);
+    return { action: 'failed', targetId: property._id, error: 'no geocoding result' };
+  }
+
+  const { location, provider, confidence } = result;
+  logger.info(`New coordinates: [${location.coordinates[0]}, ${location.coordinates[1]}] (${provider}, confidence ${confidence.toFixed(2)}${cachedResult ? ', cached' : ''})`);
+
+  if (!result.accepted) {
+    logger.info(`Queued for review: ${result.reason}`);
+    if (cleaned) await writeProperty(property, { address: cleaned }, context);
+    if (config.dryRun) {
+      plan.add({ type: 'property', id: property._id, action: 'review', reason: result.reason });
+      return { action: 'planned', targetId: property._id };
+    }
+    geocodeReview.add(property, addressKey, result);
+    return { action: 'review', targetId: property._id, error: result.reason };
+  }
+
+  const outcome = await writeProperty(property, { location, ...(cleaned && { address: cleaned }) }, context);
+  if (!config.dryRun) {
+    geocodeCache.setPropertyAddress(property._id, addressKey);
+    if (geocodeReview.get(property._id)) geocodeReview.remove(property._id);
+  }
+  return outcome;
+}
+
+/**
+ * Builds the normalized address to write back to a property
+ * A stored numeric zip is written back as the same number, so 62701 is not
+ * rewritten as "62701" (a number cannot hold the leading zeros of a padded
+ * zip anyway).
+ * @param {Object} stored - Stored property address
+ * @returns {Object|null} Address to write, or null if its street, city,
+ *   state and zip text are already normalized
+ */
+function cleanedAddress(stored) {
+  const address = normalizeAddress(stored);
+  if (typeof stored.zip === 'number') {
+    address.zip = stored.zip;
+  }
+
+  const changed = ['street', 'city', 'state', 'zip'].some(part => String(address[part] ?? '') !== String(stored[part] ?? ''));
+  return changed ? address : null;
+}
+
+/**
+ * Writes fields of a property, or plans the write in a dry run
+ * The fields' previous values are journaled for rollback.
+ * @param {Object} property - Convex property document
+ * @param {Object} fields - location and/or address
+ * @param {Object} context - Shared run state (config, convexClient, plan, journal)
+ * @returns {Promise<{action: string, targetId: string}>} Outcome for the run report
+ */
+async function writeProperty(property, fields, { config, convexClient, plan, journal }) {
+  if (config.dryRun) {
+    plan.add({
+      type: 'property',
+      id: property._id,
+      action: 'update',
+      changes: diffFields(property, fields)
+    });
+    return { action: 'planned', targetId: property._id };
+  }
+
+  await convexClient.mutation('properties:updateProperty', {
+    id: property._id,
+    orgId: property.orgId,
+    ...fields
+  }, { idempotent: true });
+  const previous = Object.fromEntries(Object.keys(fields).map(field => [field, property[field]]));
+  journal.updated('properties', property._id, { orgId: property.orgId, ...previous });
+
+  logger.info(`✓ Successfully updated ${Object.keys(fields).join(' and ')}`);
+  return { action: 'updated', targetId: property._id };
+}
+
+/**
+ * Expected Output Format:
+ * ----------------------
+ * Authenticating with Convex...
+ * Authenticated with Convex.
+ * Starting to update coordinates for 1 org...
+ * 
+ * Org k12... (1/1)
+ * Fetched page 1 with 1000 properties...
+ * 
+ * [1/1000] Processing:
+ * Property ID: abc123
+ * Address: 123 Main St, City, State 12345
+ * New coordinates: [-123.456, 45.789] (google, confidence 1.00)
+ * ✓ Successfully updated location
+ * ...
+ * Org k12...: Y pages
+ * 
+ * Summary per org:
+ * k12... - updated: Y, review: R, skipped: Z, failed: W
+ * R properties are waiting for review in geocode-review.json, choose their coordinates and run node cli.js apply-review
+ * Migration completed.
+ * property - updated: Y, review: R, skipped: Z, failed: W
+ * Report written to reports/properties-<timestamp>.json
+ */
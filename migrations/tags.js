@@ -0,0 +1,791 @@
+/**
+ * Tag Migration
+ * =============
+ * 
+ * Migrates tags from MongoDB to Convex Cloud, run with
+ * `node cli.js run tags`. It handles:
+ * - Tag creation
+ * - Property and contact associations
+ * - User mapping
+ * - Organization mapping
+ * 
+ * Prerequisites
+ * ------------
+ * 1. MongoDB instance running with access to the source database
+ * 2. Convex Cloud instance running
+ * 3. Node.js installed
+ * 4. Required npm packages:
+ *    - mongodb
+ *    - convex/browser
+ * 
+ * Configuration
+ * ------------
+ * Settings are loaded by lib/config.js from CLI flags, environment variables
+ * or a config file. The migration needs:
+ * 1. MONGODB_URI (--mongodb-uri): Your MongoDB connection string
+ * 2. MONGO_DB_NAME (--db-name): Your MongoDB database name
+ * 3. CONVEX_URL (--convex-url): Your Convex deployment URL
+ * 4. AUTH_TOKEN (--auth-token): Your Convex authentication token
+ * 5. TEAM_IDS (--team-ids): Comma separated team ObjectIds to migrate
+ * 6. TAG_REF_TYPES (--tag-ref-types): Reference types to migrate, defaults
+ *    to property,contact
+ * 7. TAG_NAME_MATCH (--tag-name-match): exact (default) or normalized to
+ *    ignore case and whitespace when deduplicating tag names
+ * 8. SNAPSHOT_DIR (--snapshot): Read tagdatas and tagrefs from a snapshot
+ *    written by `node cli.js export tags` instead of MongoDB (see
+ *    lib/snapshot.js)
+ * 
+ * Organization and user IDs are resolved from the ID registry
+ * (ID_MAP_FILE / --id-map, defaults to id-map.json). Run the users migration first so
+ * user mappings are recorded, and add organization mappings by hand.
+ * Tags whose creator is not in the registry are owned by FALLBACK_USER_ID
+ * (--fallback-user-id) when set, and skipped otherwise.
+ * 
+ * Usage
+ * -----
+ * 1. Install dependencies:
+ *    npm install mongodb convex
+ * 
+ * 2. Configure the migration:
+ *    - Set the settings listed under Configuration
+ *    - Add organization mappings to the ID registry
+ * 
+ * 3. Run the migration:
+ *    node cli.js run tags --config merge-convex.config.json
+ * 
+ * Process
+ * -------
+ * The migration will:
+ * 1. Connect to MongoDB
+ * 2. Authenticate with Convex
+ * 3. Fetch existing tags to avoid duplicates
+ * 4. Create phase: create new tags in Convex, in _id order
+ * 5. Association phase: group the tag references by record, fetch each
+ *    record and its existing tags once, and attach the missing tags
+ * 
+ * Record Types
+ * ------------
+ * Each tag is created for the Convex record type its references point at,
+ * e.g. "contacts" for a tag only used on contacts. A tag used on several
+ * record types becomes one Convex tag per record type. Referenced records
+ * are looked up through the resolver registered for the reference type in
+ * lib/recordTypes.js (properties:getByMongoId, contacts:getByMongoId);
+ * register a resolver there to migrate tags on another kind of record.
+ * References to records that have not been migrated yet are skipped.
+ * 
+ * Deduplication
+ * -------------
+ * Tags are unique per org, record type and name. A MongoDB tag whose name
+ * matches an existing Convex tag in the same org, or that an earlier run
+ * already created, is linked to that tag instead of being created: the link
+ * is stored in the ID registry and the tag's references are attached to the
+ * existing tag. The same name in another org is a different tag.
+ * 
+ * Dry Run
+ * -------
+ * Pass --dry-run to run every MongoDB and Convex read without calling
+ * tags:createTagFromMongo or tags:addTagToRecord. The script prints a plan
+ * of the tags it would create, the associations it would add and the tags
+ * it would skip. Add --plan-file <path> to also save the plan as JSON.
+ * 
+ * Throughput
+ * ----------
+ * Tags are created one at a time so duplicate names are caught. Records are
+ * then associated in batches of BATCH_SIZE (--batch-size, default 100) with
+ * up to CONCURRENCY (--concurrency, default 4) records in flight. The create
+ * phase is checkpointed after every BATCH_SIZE tags; the association phase
+ * of a full run covers every reference whose tag is in the ID registry, so
+ * a run continued with --resume also attaches tags created before the
+ * interruption. Transient Convex errors are retried up to MAX_RETRIES
+ * (--max-retries, default 5) times with exponential backoff; validation and
+ * other permanent errors fail the association immediately.
+ * 
+ * Monitoring
+ * ---------
+ * The script provides detailed logging:
+ * - Connection status
+ * - Number of tags being processed
+ * - Creation and association status for each tag
+ * - Errors and skipped items
+ * LOG_LEVEL (--log-level) sets console verbosity; full Convex responses are
+ * only printed at debug.
+ * 
+ * Every tag and association outcome (created, associated, skipped,
+ * rejected, failed) is also written with its Convex ID, error and duration
+ * to a run report in REPORT_DIR (--report-dir, default reports) as JSON and
+ * CSV (--report-format json,csv).
+ * 
+ * Error Handling
+ * -------------
+ * - Schema validation: each new tag is checked against tagSchema
+ *   (lib/schema.js); failures are appended with the reasons to
+ *   REJECTIONS_DIR/tags.ndjson (--rejections-dir, default rejections)
+ * - MongoDB connection issues
+ * - Convex authentication failures
+ * - Duplicate tag handling
+ * - Property association errors
+ * 
+ * Incremental Sync
+ * ----------------
+ * --sync only processes tagdatas and tagrefs whose updatedAt is newer than
+ * the watermarks saved by the previous sync run (SYNC_STATE_DIR /
+ * --sync-state-dir, default .sync). Changed references to tags created by
+ * earlier runs are resolved through the ID registry. --watch runs the same
+ * catch-up and then tails both collections with MongoDB change streams
+ * (requires a replica set) until stopped with Ctrl-C.
+ * 
+ * Verification
+ * ------------
+ * node cli.js verify tags compares every tag and reference of TEAM_IDS with
+ * Convex and reports missing, extra and mismatched tags and associations.
+ * 
+ * Rollback
+ * --------
+ * Every created tag and every added association is appended to
+ * JOURNAL_DIR/<runId>.ndjson (--journal-dir, default journals). Undo the
+ * run with: node cli.js rollback <runId>
+ * 
+ * Limitations
+ * ----------
+ * - Only handles reference types with a resolver in lib/recordTypes.js
+ * - Requires organization mappings in the ID registry
+ * - Tag renames in MongoDB are not propagated to existing Convex tags
+ * 
+ * Example Configuration
+ * -------------------
+ * MONGODB_URI=mongodb://localhost:27017 \
+ * MONGO_DB_NAME=your_database \
+ * CONVEX_URL=https://your-deployment.convex.cloud \
+ * AUTH_TOKEN=your_convex_auth_token \
+ * TEAM_IDS=628bff8d44cd3e01b746b737,628ea3ebfeec685660394d1c \
+ * node cli.js run tags
+ */
+
+import { ObjectId } from 'mongodb';
+import { ConfigError } from '../lib/config.js';
+import { defineMigration } from '../lib/migration.js';
+import { diffFields } from '../lib/plan.js';
+import { validateRecord, tagSchema } from '../lib/schema.js';
+import { knownRefTypes, recordTypeFor, resolveRecord } from '../lib/recordTypes.js';
+import { serverTime } from '../lib/sync.js';
+import { logger } from '../lib/logger.js';
+
+// Record type of tags nothing references yet
+const DEFAULT_RECORD_TYPE = 'properties';
+
+export default defineMigration({
+  name: 'tags',
+  type: 'tag',
+  required: ['teamIds'],
+  authenticate: true,
+  // One tag at a time, so two tags with the same name cannot both be created
+  concurrency: 1,
+  source: {
+    collection: 'tagdatas',
+    filter: tagDataFilter,
+    matches: (tagData, config) => config.teamIds.includes(tagData.team?.toString())
+  },
+  snapshot: config => ({ tagdatas: tagDataFilter(config), tagrefs: tagRefFilter(config) }),
+  setup: loadLookups,
+  process: migrateTag,
+  finish: associateTags,
+  verify: verifyTags,
+  watch: context => [{
+    collection: context.db.collection('tagrefs'),
+    onDocument: async ref => {
+      if (!context.config.tagRefTypes.includes(ref.type)) return;
+      const failed = await associateReferences([ref], context);
+      if (failed.length > 0) {
+        throw new Error(`Failed to associate tag reference ${ref._id}`);
+      }
+    }
+  }]
+});
+
+/**
+ * @param {Object} config - Config from loadConfig()
+ * @returns {Object} MongoDB filter for the tags of TEAM_IDS
+ */
+function tagDataFilter(config) {
+  return { team: { $in: config.teamIds.map(id => new ObjectId(id)) } };
+}
+
+/**
+ * @param {Object} config - Config from loadConfig()
+ * @returns {Object} MongoDB filter for the references of TAG_REF_TYPES
+ */
+function tagRefFilter(config) {
+  return { type: { $in: config.tagRefTypes } };
+}
+
+/**
+ * Registry key of the Convex tag created for a MongoDB tag and record type
+ * Property tags keep the plain MongoDB ID so registries written before other
+ * record types were supported still resolve.
+ * @param {string} mongoId - MongoDB tag ID
+ * @param {string} recordType - Convex record type
+ * @returns {string} ID registry key under 'tags'
+ */
+function tagKey(mongoId, recordType) {
+  return recordType === 'properties' ? mongoId : `${mongoId}:${recordType}`;
+}
+
+/**
+ * Loads tag references and existing Convex tags before the first tag
+ * @param {Object} context - Shared run state, extended with refFilter,
+ *   tagRefs, tagRefMap, createdTags, createdRefs, tagsByMongoId and
+ *   tagsByName
+ * @throws {ConfigError} If a reference type in TAG_REF_TYPES has no resolver
+ */
+async function loadLookups(context) {
+  const { config, convexClient, db, syncState, incremental } = context;
+
+  const unknown = config.tagRefTypes.filter(type => !knownRefTypes().includes(type));
+  if (unknown.length > 0) {
+    throw new ConfigError(`No resolver for tag reference types: ${unknown.join(', ')} (known: ${knownRefTypes().join(', ')})`);
+  }
+  context.refFilter = tagRefFilter(config);
+
+  // Only references changed since the last sync run in --sync/--watch mode
+  if (incremental) {
+    syncState.begin('tagrefs', await serverTime(db));
+  }
+  context.tagRefs = await db.collection('tagrefs')
+    .find(incremental ? { ...context.refFilter, ...syncState.changedSinceFilter('tagrefs') } : context.refFilter)
+    .toArray();
+
+  // A full scan has every reference, so map them by tagObject ID up front
+  context.tagRefMap = incremental ? null : context.tagRefs.reduce((acc, tagRef) => {
+    const tagId = tagRef.tagObject.toString();
+    if (!acc[tagId]) {
+      acc[tagId] = [];
+    }
+    acc[tagId].push(tagRef);
+    return acc;
+  }, {});
+
+  // Convex tag IDs (stand-in IDs in dry-run mode) created by this run, by
+  // tagKey(), and the references of those tags
+  context.createdTags = new Map();
+  context.createdRefs = [];
+
+  // Fetch all existing tags to avoid duplicates
+  const existingTags = await convexClient.query('tags:getAll');
+
+  // Convex tag IDs by the MongoDB tag they were created from, and by
+  // org, record type and (optionally normalized) name
+  context.tagsByMongoId = new Map();
+  context.tagsByName = new Map();
+  for (const tag of existingTags) {
+    if (tag.mongoId) {
+      context.tagsByMongoId.set(`${tag.recordType}:${tag.mongoId}`, tag._id);
+    }
+    context.tagsByName.set(tagNameKey(tag.orgId, tag.recordType, tag.name, config), tag._id);
+  }
+}
+
+/**
+ * Deduplication key for a tag name within an org and record type
+ * With TAG_NAME_MATCH=normalized, names that only differ in case or
+ * whitespace ("Hot Lead", " hot  lead") are treated as the same tag.
+ * @param {string} orgId - Convex org ID
+ * @param {string} recordType - Convex record type
+ * @param {string} name - Tag name
+ * @param {Object} config - Config from loadConfig()
+ * @returns {string} Key for tagsByName
+ */
+function tagNameKey(orgId, recordType, name, config) {
+  const match = config.tagNameMatch === 'normalized'
+    ? String(name ?? '').trim().replace(/\s+/g, ' ').toLowerCase()
+    : name;
+  return `${orgId}:${recordType}:${match}`;
+}
+
+/**
+ * Creates a tag for every record type that references it
+ * A tag used on both properties and contacts becomes two Convex tags with
+ * the same name, one per record type. Associations are added afterwards by
+ * associateTags(), or straight away for tags changed while watching.
+ * @param {Object} tagData - MongoDB tagdatas document
+ * @param {Object} context - Shared run state
+ * @returns {Promise<{action: string, targetId?: string, error?: string}>} Outcome of the tag for its first record type
+ */
+async function migrateTag(tagData, context) {
+  const mongoId = tagData._id.toString();
+
+  // Preloaded during a full scan, looked up per tag in sync mode and for
+  // change stream updates
+  const references = context.tagRefMap
+    ? context.tagRefMap[mongoId] ?? []
+    : await context.db.collection('tagrefs').find({ ...context.refFilter, tagObject: tagData._id }).toArray();
+
+  const byRecordType = groupByRecordType(references);
+  const [first, ...others] = byRecordType.size > 0 ? [...byRecordType.keys()] : [DEFAULT_RECORD_TYPE];
+
+  const createdRefs = [];
+  const createFor = async recordType => {
+    const outcome = await createTag(tagData, recordType, context);
+    if (['created', 'linked', 'planned'].includes(outcome.action)) {
+      context.createdTags.set(tagKey(mongoId, recordType), outcome.targetId);
+      createdRefs.push(...byRecordType.get(recordType) ?? []);
+    }
+    return outcome;
+  };
+
+  // Tags for further record types get their own report rows, and hold the
+  // sync watermark when they fail as the returned outcome does
+  for (const recordType of others) {
+    const other = await context.report.track('tag', tagKey(mongoId, recordType), () => createFor(recordType));
+    if (other.action === 'failed') {
+      context.syncState.hold('tagdatas', tagData);
+    }
+  }
+  const outcome = await createFor(first);
+
+  if (context.scanComplete) {
+    await associateReferences(createdRefs, context);
+  } else {
+    context.createdRefs.push(...createdRefs);
+  }
+  return outcome;
+}
+
+/**
+ * Groups tag references by the Convex record type they point at
+ * @param {Object[]} references - MongoDB tagrefs documents
+ * @returns {Map<string, Object[]>} References keyed by record type, in first-seen order
+ */
+function groupByRecordType(references) {
+  const groups = new Map();
+  for (const ref of references) {
+    const recordType = recordTypeFor(ref.type);
+    if (!groups.has(recordType)) {
+      groups.set(recordType, []);
+    }
+    groups.get(recordType).push(ref);
+  }
+  return groups;
+}
+
+/**
+ * Association phase, run once every tag has been created
+ * A full run associates every reference whose tag is in the ID registry, so
+ * a resumed run also covers tags created before the interruption. A sync
+ * run associates the references of tags it created plus changed references.
+ * @param {Object} context - Shared run state
+ */
+async function associateTags(context) {
+  const { tagRefs, createdRefs } = context;
+
+  // The same reference can be both changed and belong to a created tag
+  const references = [...new Map([...tagRefs, ...createdRefs].map(ref => [ref._id.toString(), ref])).values()];
+  await associateReferences(references, context);
+
+  // Tags changed after the scan are associated as they are created
+  context.tagRefMap = null;
+  context.scanComplete = true;
+}
+
+/**
+ * Attaches tags to the records that reference them
+ * References are grouped by record so each record is resolved and its
+ * existing tags are fetched once, however many tags it gets. Records are
+ * processed in batches of BATCH_SIZE with up to CONCURRENCY in flight.
+ * References whose tag was not created (skipped, rejected or failed) are
+ * ignored. References that fail hold the tagrefs sync watermark before them.
+ * @param {Object[]} references - MongoDB tagrefs documents
+ * @param {Object} context - Shared run state
+ * @returns {Promise<Object[]>} References that failed
+ */
+async function associateReferences(references, context) {
+  const { executor, registry, createdTags, syncState } = context;
+
+  const records = new Map();
+  for (const ref of references) {
+    const key = tagKey(ref.tagObject.toString(), recordTypeFor(ref.type));
+    const convexTagId = createdTags.get(key) ?? registry.get('tags', key);
+    if (!convexTagId) continue;
+
+    const recordKey = `${ref.type}:${ref.refWith.toString()}`;
+    if (!records.has(recordKey)) {
+      records.set(recordKey, []);
+    }
+    records.get(recordKey).push({ ref, convexTagId });
+  }
+
+  if (records.size === 0) return [];
+  logger.info(`Associating tags with ${records.size} records...`);
+
+  const failed = [];
+  for await (const batch of executor.batches(records.values())) {
+    const results = await executor.map(batch, entries => associateRecord(entries, context));
+    results.forEach((result, index) => {
+      failed.push(...(result.status === 'fulfilled' ? result.value : batch[index].map(entry => entry.ref)));
+    });
+  }
+
+  failed.forEach(ref => syncState.hold('tagrefs', ref));
+  return failed;
+}
+
+/**
+ * Creates a Convex tag for a MongoDB tag document and record type
+ * A tag that already exists in Convex, either created from the same MongoDB
+ * tag or with the same name in the same org, is linked instead: it is
+ * recorded in the ID registry so the MongoDB tag's references are attached
+ * to it. Tags whose org/user cannot be mapped are skipped.
+ * @param {Object} tagData - MongoDB tagdatas document
+ * @param {string} recordType - Convex record type the tag is for
+ * @param {Object} context - Shared run state
+ * @returns {Promise<{action: string, targetId?: string, error?: string}>} Outcome with the Convex tag ID (a stand-in ID in dry-run mode)
+ */
+async function createTag(tagData, recordType, { config, convexClient, registry, plan, rejections, journal, tagsByMongoId, tagsByName }) {
+  const mongoId = tagData._id.toString();
+  const key = tagKey(mongoId, recordType);
+  const label = `${tagData.tag} (${recordType})`;
+  
+  // Link to a tag created from this MongoDB tag by an earlier run
+  const existingId = tagsByMongoId.get(`${recordType}:${mongoId}`);
+  if (existingId) {
+    return linkTag(label, key, existingId, 'already migrated', { config, registry, plan });
+  }
+
+  const { tag: newTagData, skip } = buildTag(tagData, recordType, { config, registry });
+  if (skip) {
+    logger.info(`Skipping tag ${label} (ID: ${mongoId}): ${skip} in ID registry`);
+    plan.add({ type: 'tag', id: label, action: 'skip', reason: skip });
+    return { action: 'skipped', error: skip };
+  }
+
+  // Link to a tag with the same name in the same org
+  const nameKey = tagNameKey(newTagData.orgId, recordType, newTagData.name, config);
+  const duplicateId = tagsByName.get(nameKey);
+  if (duplicateId) {
+    return linkTag(label, key, duplicateId, 'same name in org', { config, registry, plan });
+  }
+
+  // Reject tags that do not match the Convex tag schema
+  const errors = validateRecord(newTagData, tagSchema);
+  if (errors.length > 0) {
+    rejections.reject(mongoId, errors, newTagData);
+    plan.add({ type: 'tag', id: tagData.tag ? label : mongoId, action: 'skip', reason: `rejected: ${errors.join('; ')}` });
+    return { action: 'rejected', error: errors.join('; ') };
+  }
+
+  logger.info(`Creating tag: ${label} (ID: ${mongoId})`);
+  logger.debug(JSON.stringify(newTagData));
+  plan.add({ type: 'tag', id: label, action: 'create', changes: diffFields(null, newTagData) });
+  if (config.dryRun) {
+    // Stand-in ID so associations and duplicates can still be planned
+    const standInId = `dry-run:${key}`;
+    tagsByMongoId.set(`${recordType}:${mongoId}`, standInId);
+    tagsByName.set(nameKey, standInId);
+    return { action: 'planned', targetId: standInId };
+  }
+
+  try {
+    const result = await convexClient.mutation('tags:createTagFromMongo', newTagData);
+    if (result.status !== 'success') {
+      logger.error(`Error creating tag ${label}:`, result);
+      return { action: 'failed', error: result.message ?? `status ${result.status}` };
+    }
+
+    journal.created('tags', result.data, key);
+    registry.set('tags', key, result.data);
+    tagsByMongoId.set(`${recordType}:${mongoId}`, result.data);
+    tagsByName.set(nameKey, result.data);
+    logger.info(`Created tag with ID: ${result.data}`);
+    return { action: 'created', targetId: result.data };
+  } catch (error) {
+    logger.error(`Error creating tag:`, error);
+    return { action: 'failed', error: error.message };
+  }
+}
+
+/**
+ * Builds the Convex tag for a MongoDB tag document and record type, without
+ * any record association
+ * @param {Object} tagData - MongoDB tagdatas document
+ * @param {string} recordType - Convex record type the tag is for
+ * @param {Object} context - Shared run state (config, registry)
+ * @returns {{tag?: Object, skip?: string}} The tag, or why its org or user cannot be mapped
+ */
+function buildTag(tagData, recordType, { config, registry }) {
+  const orgId = registry.get('orgs', tagData.team.toString());
+  const userId = registry.get('users', tagData.userId?.toString()) ?? config.fallbackUserId;
+  if (!orgId || !userId) {
+    return { skip: `no ${orgId ? 'user' : 'org'} mapping` };
+  }
+
+  return {
+    tag: {
+      orgId,
+      name: tagData.tag,
+      recordType,
+      userIds: [{
+        userId,
+        role: "tag:admin"
+      }],
+      mongoId: tagData._id.toString(),
+    }
+  };
+}
+
+/**
+ * Maps a MongoDB tag to an existing Convex tag
+ * @param {string} label - Tag name and record type, for log lines
+ * @param {string} key - ID registry key from tagKey()
+ * @param {string} convexTagId - Existing Convex tag ID
+ * @param {string} reason - Why the tag is linked rather than created
+ * @param {Object} context - Shared run state
+ * @returns {{action: string, targetId: string, error: string}} 'linked' outcome
+ */
+function linkTag(label, key, convexTagId, reason, { config, registry, plan }) {
+  logger.info(`Tag ${label} already exists (${reason}), linking to ${convexTagId}`);
+  plan.add({ type: 'tag', id: label, action: 'link', reason: `${reason}: ${convexTagId}` });
+
+  // Dry runs keep the link in memory only
+  if (!config.dryRun && !convexTagId.startsWith('dry-run:')) {
+    registry.set('tags', key, convexTagId);
+  }
+  return { action: 'linked', targetId: convexTagId, error: reason };
+}
+
+/**
+ * Attaches all of a record's missing tags
+ * @param {Array<{ref: Object, convexTagId: string}>} entries - References to one record
+ * @param {Object} context - Shared run state
+ * @returns {Promise<Object[]>} References that failed
+ */
+async function associateRecord(entries, context) {
+  const { convexClient, report } = context;
+  const { ref } = entries[0];
+  const recordType = recordTypeFor(ref.type);
+  const started = Date.now();
+
+  // Resolve the record through the resolver registered for its type
+  // (lib/recordTypes.js) and fetch its current tags once
+  let record;
+  let existingTagIds;
+  try {
+    record = await resolveRecord(ref, convexClient);
+    logger.debug(`Resolved ${ref.type} ${ref.refWith.toString()}`, record);
+    if (record) {
+      const existingTags = await convexClient.query('tags:getTagsForRecord', { recordId: record._id, recordType });
+      existingTagIds = new Set(existingTags.map(tag => tag._id));
+    }
+  } catch (error) {
+    logger.error(`Error loading ${recordType} ${ref.refWith.toString()}:`, error);
+    for (const entry of entries) {
+      report.record({ type: 'tag association', sourceId: entry.ref._id.toString(), action: 'failed', error: error.message, durationMs: Date.now() - started });
+    }
+    return entries.map(entry => entry.ref);
+  }
+
+  if (!record) {
+    logger.info(`${recordType} ${ref.refWith.toString()} has not been migrated, skipping ${entries.length} tags`);
+    for (const entry of entries) {
+      context.plan.add({ type: 'tag association', id: `${entry.ref.tagObject.toString()} -> ${recordType} ${ref.refWith.toString()}`, action: 'skip', reason: 'record not migrated' });
+      report.record({ type: 'tag association', sourceId: entry.ref._id.toString(), action: 'skipped', error: `${recordType} not migrated` });
+    }
+    return [];
+  }
+
+  const failed = [];
+  for (const { ref: entryRef, convexTagId } of entries) {
+    const outcome = await report.track('tag association', entryRef._id.toString(), () =>
+      attachTag(convexTagId, entryRef, record, existingTagIds, context)
+    );
+    if (outcome.action === 'failed') failed.push(entryRef);
+  }
+  return failed;
+}
+
+/**
+ * Attaches a Convex tag to a record unless it already has it
+ * @param {string} convexTagId - Convex tag ID
+ * @param {Object} ref - MongoDB tagrefs document
+ * @param {Object} record - Convex record the reference points at
+ * @param {Set<string>} existingTagIds - Tags already on the record, updated as tags are attached
+ * @param {Object} context - Shared run state
+ * @returns {Promise<{action: string, targetId?: string, error?: string}>} Outcome with the Convex record ID
+ */
+async function attachTag(convexTagId, ref, record, existingTagIds, { config, convexClient, plan, journal }) {
+  const recordType = recordTypeFor(ref.type);
+  const mongoId = ref.tagObject.toString();
+
+  if (existingTagIds.has(convexTagId)) {
+    logger.info(`Tag ${convexTagId} already exists on ${recordType} ${ref.refWith.toString()}, skipping...`);
+    return { action: 'skipped', targetId: record._id, error: 'already associated' };
+  }
+  existingTagIds.add(convexTagId);
+
+  logger.info(`Adding tag ${convexTagId} to ${recordType} ${ref.refWith.toString()}`);
+
+  if (config.dryRun) {
+    plan.add({
+      key: `${mongoId}:${record._id}`,
+      type: 'tag association',
+      id: `${mongoId} -> ${recordType} ${ref.refWith.toString()}`,
+      action: 'associate'
+    });
+    return { action: 'planned', targetId: record._id };
+  }
+
+  try {
+    const result = await convexClient.mutation('tags:addTagToRecord', {
+      recordId: record._id,
+      tagId: convexTagId
+    });
+
+    logger.debug(`Added tag to record: ${JSON.stringify(result)}`);
+    journal.associated(convexTagId, record._id, recordType);
+    return { action: 'associated', targetId: record._id };
+  } catch (error) {
+    // Another reference to the same tag and record may still attach it
+    existingTagIds.delete(convexTagId);
+    logger.error(`Error adding tag ${convexTagId} to record ${ref.refWith.toString()}:`, error);
+    return { action: 'failed', targetId: record._id, error: error.message };
+  }
+}
+
+/**
+ * Compares the tags of TEAM_IDS and their references with Convex, for
+ * `node cli.js verify tags` (see lib/verify.js)
+ * - Every MongoDB tag needs a Convex tag per record type, found the way the
+ *   migration finds it: created from the MongoDB tag, or linked to it in the
+ *   ID registry. Linked tags are compared on org, record type and name (as
+ *   TAG_NAME_MATCH compares them); tag members are not compared.
+ * - Every reference needs its tag attached to the referenced record
+ * - Convex tags created from MongoDB tags the orgs no longer have, and
+ *   migrated tags attached to a referenced record without a reference, are
+ *   extra. Records no MongoDB reference points at are not checked.
+ * @param {Object} context - Verification state (config, executor, convexClient, db, registry, verified)
+ */
+async function verifyTags(context) {
+  const { config, executor, convexClient, db, registry, verified } = context;
+
+  const tagDatas = await db.collection('tagdatas').find(tagDataFilter(config)).toArray();
+  const mongoTagIds = new Set(tagDatas.map(tagData => tagData._id.toString()));
+  const refs = (await db.collection('tagrefs').find(tagRefFilter(config)).toArray())
+    .filter(ref => mongoTagIds.has(ref.tagObject.toString()));
+  const refsByTag = new Map();
+  for (const ref of refs) {
+    const tagId = ref.tagObject.toString();
+    if (!refsByTag.has(tagId)) {
+      refsByTag.set(tagId, []);
+    }
+    refsByTag.get(tagId).push(ref);
+  }
+
+  const convexTags = await convexClient.query('tags:getAll');
+  const tagsById = new Map(convexTags.map(tag => [tag._id, tag]));
+  const tagsByMongoId = new Map(convexTags.filter(tag => tag.mongoId).map(tag => [`${tag.recordType}:${tag.mongoId}`, tag]));
+
+  // Convex tag ID each MongoDB tag and record type resolved to, by tagKey()
+  const convexTagIds = new Map();
+  for (const tagData of tagDatas) {
+    const mongoId = tagData._id.toString();
+    const byRecordType = groupByRecordType(refsByTag.get(mongoId) ?? []);
+    const recordTypes = byRecordType.size > 0 ? [...byRecordType.keys()] : [DEFAULT_RECORD_TYPE];
+
+    for (const recordType of recordTypes) {
+      const key = tagKey(mongoId, recordType);
+      const { tag: expected, skip } = buildTag(tagData, recordType, context);
+      const errors = expected ? validateRecord(expected, tagSchema) : [];
+      if (skip || errors.length > 0) {
+        verified('tag', 'skipped', { sourceId: key, reason: skip ?? `rejected: ${errors.join('; ')}` });
+        continue;
+      }
+
+      const actual = tagsByMongoId.get(`${recordType}:${mongoId}`) ?? tagsById.get(registry.get('tags', key));
+      if (!actual) {
+        verified('tag', 'missing', { sourceId: key, reason: `no ${recordType} tag "${expected.name}"` });
+        continue;
+      }
+      convexTagIds.set(key, actual._id);
+
+      const linked = actual.mongoId !== mongoId;
+      const changes = diffFields(actual, linked
+        ? { orgId: expected.orgId, recordType }
+        : { orgId: expected.orgId, name: expected.name, recordType, mongoId });
+      if (linked && tagNameKey(actual.orgId, recordType, actual.name, config) !== tagNameKey(actual.orgId, recordType, expected.name, config)) {
+        changes.push({ field: 'name', from: actual.name, to: expected.name });
+      }
+      verified('tag', changes.length > 0 ? 'mismatched' : 'matched', { sourceId: key, targetId: actual._id, changes });
+    }
+  }
+
+  const orgIds = new Set(config.teamIds.map(id => registry.get('orgs', id)).filter(Boolean));
+  for (const tag of convexTags) {
+    if (tag.mongoId && orgIds.has(tag.orgId) && !mongoTagIds.has(tag.mongoId)) {
+      verified('tag', 'extra', { sourceId: tagKey(tag.mongoId, tag.recordType), targetId: tag._id, reason: 'not in tagdatas' });
+    }
+  }
+
+  // Group references by record, like the association phase
+  const records = new Map();
+  for (const ref of refs) {
+    const convexTagId = convexTagIds.get(tagKey(ref.tagObject.toString(), recordTypeFor(ref.type)));
+    if (!convexTagId) continue;
+
+    const recordKey = `${ref.type}:${ref.refWith.toString()}`;
+    if (!records.has(recordKey)) {
+      records.set(recordKey, []);
+    }
+    records.get(recordKey).push({ ref, convexTagId });
+  }
+
+  const migratedTagIds = new Set(convexTagIds.values());
+  for await (const batch of executor.batches(records.values())) {
+    await executor.map(batch, entries => verifyRecordTags(entries, migratedTagIds, context));
+  }
+}
+
+/**
+ * Compares the tags attached to one record with its MongoDB references
+ * @param {Array<{ref: Object, convexTagId: string}>} entries - References to one record
+ * @param {Set<string>} migratedTagIds - Convex tags that MongoDB tags resolved to
+ * @param {Object} context - Verification state
+ */
+async function verifyRecordTags(entries, migratedTagIds, { convexClient, verified }) {
+  const { ref } = entries[0];
+  const recordType = recordTypeFor(ref.type);
+
+  let record;
+  let attached;
+  try {
+    record = await resolveRecord(ref, convexClient);
+    if (record) {
+      const tags = await convexClient.query('tags:getTagsForRecord', { recordId: record._id, recordType });
+      attached = new Set(tags.map(tag => tag._id));
+    }
+  } catch (error) {
+    for (const entry of entries) {
+      verified('tag association', 'failed', { sourceId: entry.ref._id.toString(), reason: error.message });
+    }
+    return;
+  }
+
+  if (!record) {
+    for (const entry of entries) {
+      verified('tag association', 'missing', { sourceId: entry.ref._id.toString(), reason: `${recordType} ${ref.refWith.toString()} not migrated` });
+    }
+    return;
+  }
+
+  const expected = new Set(entries.map(entry => entry.convexTagId));
+  for (const { ref: entryRef, convexTagId } of entries) {
+    verified('tag association', attached.has(convexTagId) ? 'matched' : 'missing', {
+      sourceId: entryRef._id.toString(),
+      targetId: record._id,
+      ...(!attached.has(convexTagId) && { reason: `tag ${convexTagId} not on ${recordType} ${record._id}` })
+    });
+  }
+
+  for (const tagId of attached) {
+    if (migratedTagIds.has(tagId) && !expected.has(tagId)) {
+      verified('tag association', 'extra', { sourceId: `${tagId}:${record._id}`, targetId: record._id, reason: 'no tagrefs document' });
+    }
+  }
+}
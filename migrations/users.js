@@ -0,0 +1,578 @@
+/**
+ * User Migration
+ * ==============
+ * 
+ * Migrates user data from MongoDB to Convex Cloud. Run with:
+ *    node cli.js run users
+ * 
+ * Prerequisites
+ * ------------
+ * 1. MongoDB instance running with access to the source database
+ * 2. Convex Cloud instance running
+ * 3. Node.js installed
+ * 4. Required npm packages:
+ *    - mongodb
+ *    - convex/browser
+ * 
+ * Configuration
+ * ------------
+ * Settings are loaded by lib/config.js from CLI flags, environment variables
+ * or a config file (see merge-convex.config.example.json). The steps shared
+ * with the other migrations (checkpoints, sync, retries, reports, journal)
+ * are run by lib/migration.js:
+ * 1. MONGODB_URI (--mongodb-uri): Your MongoDB connection string
+ * 2. MONGO_DB_NAME (--db-name): Your MongoDB database name
+ * 3. CONVEX_URL (--convex-url): Your Convex deployment URL
+ * 4. ID_MAP_FILE (--id-map): ID registry file, defaults to id-map.json.
+ *    Add your organization mappings under "orgs" (see id-map.example.json)
+ * 5. MEMBERSHIP_MAP_FILE (--membership-map): Optional role and status
+ *    mapping tables (see Memberships below)
+ * 6. SNAPSHOT_DIR (--snapshot): Read users from a snapshot written by
+ *    `node cli.js export users` instead of MongoDB (see lib/snapshot.js)
+ * 7. MIGRATE_IMAGES (--migrate-images): Copy profile images into Convex
+ *    file storage instead of keeping their old URLs (see
+ *    lib/profileImages.js for IMAGE_ORIGIN and MAX_IMAGE_BYTES)
+ * 
+ * User Data Transformation
+ * -----------------------
+ * The script transforms MongoDB user documents to Convex format:
+ * - Normalizes email addresses to lowercase
+ * - Combines first and last names
+ * - Maps organization IDs through the ID registry
+ * - Records each created or updated user in the ID registry
+ * - Sets up user presence
+ * - Sets emailVerified and providers from the MongoDB auth fields, and
+ *   links the matching Convex Auth accounts after the user is written (see
+ *   lib/authAccounts.js)
+ * - Handles team memberships and roles
+ * 
+ * Memberships
+ * -----------
+ * Each entry of a user's `team` array becomes an org membership. Its `role`
+ * and `status` are translated through mapping tables, lower cased:
+ * 
+ *   roles:    owner, admin -> org:admin; member -> org:member
+ *   statuses: approved, active -> active; invited -> invited;
+ *             pending -> pending; disabled -> disabled
+ * 
+ * Entries without a role become org:member and entries without a status
+ * pending. A "*" key sets the value for anything a table does not list,
+ * which defaults to org:member for roles and disabled for statuses. The
+ * file given with --membership-map replaces entries of the default tables,
+ * and can override them again per MongoDB team ID:
+ * 
+ *   {
+ *     "roles": { "manager": "org:admin" },
+ *     "statuses": { "suspended": "disabled" },
+ *     "orgs": {
+ *       "628bff8d44cd3e01b746b737": { "roles": { "agent": "org:member" } }
+ *     }
+ *   }
+ * 
+ * See membership-map.example.json.
+ * 
+ * Duplicate Emails
+ * ----------------
+ * Users are upserted by their lower cased email, so MongoDB users that share
+ * an email end up as one Convex user. They are found before the first user
+ * is written and handled according to DUPLICATE_USERS (--duplicate-users):
+ * - merge (default): One user with the union of their org memberships
+ *   (per org the membership with the most active status, then the highest
+ *   role, kept whole), the presence of the most recently active one (newest
+ *   lastActive) and, for every other field, the most recently active user's
+ *   value unless it is empty
+ * - newest: The most recently active user as it is
+ * - skip: None of them is migrated
+ * 
+ * The group is written when its first user (lowest _id) comes up and the
+ * others are reported as skipped. Every user of the group is recorded in the
+ * ID registry against the single Convex user.
+ * 
+ * Error Handling
+ * -------------
+ * - Validates each transformed user against userSchema (lib/schema.js).
+ *   Users that fail, or whose transform throws, are appended with the
+ *   reasons to REJECTIONS_DIR/users.ndjson (--rejections-dir, default
+ *   rejections) and the run continues
+ * - Skips users without valid organization IDs
+ * - Handles duplicate users (updates instead of creates)
+ * - Records every user's outcome (created, updated, skipped, rejected,
+ *   failed) with its Convex ID, error and duration in a run report written
+ *   to REPORT_DIR (--report-dir, default reports) as JSON and CSV
+ *   (--report-format json,csv)
+ * - LOG_LEVEL (--log-level) sets console verbosity; full Convex responses
+ *   are only printed at debug
+ * 
+ * Dry Run
+ * -------
+ * Pass --dry-run to read and transform every user without calling
+ * users:create or users:update. The script prints a plan listing each user,
+ * the planned action and a field-level diff against the existing Convex
+ * user. Add --plan-file <path> to also save the plan as JSON.
+ * 
+ * Checkpoints
+ * -----------
+ * Users are processed in _id order and progress (last processed _id and
+ * counters) is saved to CHECKPOINT_DIR (--checkpoint-dir, default
+ * .checkpoints) after every batch. After a crash or Ctrl-C, rerun with
+ * --resume to continue after the last completed batch.
+ * 
+ * Throughput
+ * ----------
+ * Users are read in batches of BATCH_SIZE (--batch-size, default 100) and up
+ * to CONCURRENCY (--concurrency, default 4) users are upserted at once.
+ * Transient Convex errors are retried up to MAX_RETRIES (--max-retries,
+ * default 5) times with exponential backoff; validation and other permanent
+ * errors fail the user immediately.
+ * 
+ * Incremental Sync
+ * ----------------
+ * --sync only migrates users whose updatedAt is newer than the watermark
+ * saved by the previous sync run (in SYNC_STATE_DIR / --sync-state-dir,
+ * default .sync). The first sync run has no watermark and scans everything.
+ * --watch runs the same catch-up and then tails the users collection with a
+ * MongoDB change stream (requires a replica set), applying the same upsert
+ * to every inserted or updated user until stopped with Ctrl-C.
+ * 
+ * Rollback
+ * --------
+ * Every created user, and every updated user's previous values, is appended
+ * to JOURNAL_DIR/<runId>.ndjson (--journal-dir, default journals). Undo the
+ * run with: node cli.js rollback <runId>
+ * 
+ * Usage
+ * -----
+ * 1. Install dependencies:
+ *    npm install mongodb convex
+ * 
+ * 2. Configure the settings above
+ * 
+ * 3. Run the migration:
+ *    node cli.js run users --config merge-convex.config.json
+ */
+
+import { ConfigError } from '../lib/config.js';
+import { readJsonFile } from '../lib/files.js';
+import { defineMigration } from '../lib/migration.js';
+import { userSchema } from '../lib/schema.js';
+import { findAuthAccounts, isEmailVerified, linkAuthAccounts } from '../lib/authAccounts.js';
+import { ImageError, ProfileImages } from '../lib/profileImages.js';
+import { SnapshotDb } from '../lib/snapshot.js';
+import { logger } from '../lib/logger.js';
+
+const DEFAULT_ROLES = {
+  owner: 'org:admin',
+  admin: 'org:admin',
+  member: 'org:member',
+  '*': 'org:member'
+};
+
+const DEFAULT_STATUSES = {
+  approved: 'active',
+  active: 'active',
+  invited: 'invited',
+  pending: 'pending',
+  disabled: 'disabled',
+  '*': 'disabled'
+};
+
+// Precedence when duplicates share an org, highest first; other values rank last
+const ROLE_PRECEDENCE = ['org:admin', 'org:member'];
+const STATUS_PRECEDENCE = ['active', 'invited', 'pending', 'disabled'];
+
+export default defineMigration({
+  name: 'users',
+  type: 'user',
+  source: { collection: 'users' },
+  snapshot: () => ({ users: {} }),
+  setup: async context => {
+    context.memberships = loadMembershipMap(context.config.membershipMapFile);
+    // Accounts of each transformed user, linked once the user is written
+    context.authAccounts = new WeakMap();
+    if (context.config.migrateImages) {
+      context.images = new ProfileImages(context.config, context);
+    }
+    await findDuplicates(context);
+  },
+  transform: async (oldUser, context) => {
+    const newUser = transformGroup(oldUser, context);
+    await migrateImage(newUser, oldUser, context);
+    return newUser;
+  },
+  schema: userSchema,
+  skip: skipUser,
+  // Every user merged into the Convex user maps to it in the ID registry
+  aliases: (newUser, { duplicates }) => (duplicates.groups.get(newUser.email) ?? [])
+    .map(user => user._id.toString())
+    .filter(mongoId => mongoId !== newUser.mongoId),
+  afterWrite: (newUser, userId, context) =>
+    linkAuthAccounts(newUser.mongoId, userId, context.authAccounts.get(newUser) ?? [], context),
+  key: 'email',
+  // Last seen defaults to the time of the run
+  volatile: ['presence'],
+  target: {
+    table: 'users',
+    find: 'users:getUserByEmail',
+    create: 'users:create',
+    update: 'users:update'
+  }
+});
+
+/**
+ * Finds users that share an email, ignoring case and surrounding whitespace
+ * @param {Object} context - Shared run state, extended with duplicates:
+ *   groups (email -> users in _id order) and primaryIds (mongoId -> _id of
+ *   the first user with the same email)
+ */
+async function findDuplicates(context) {
+  const users = context.db.collection('users');
+  const ids = await duplicateIds(users, context.db);
+
+  context.duplicates = { groups: new Map(), primaryIds: new Map() };
+  if (ids.length === 0) return;
+
+  const members = await users.find({ _id: { $in: ids } }).sort({ _id: 1 }).toArray();
+  for (const user of members) {
+    const email = normalizeEmail(user.email);
+    if (!context.duplicates.groups.has(email)) {
+      context.duplicates.groups.set(email, []);
+    }
+    const group = context.duplicates.groups.get(email);
+    group.push(user);
+    context.duplicates.primaryIds.set(user._id.toString(), group[0]._id.toString());
+  }
+
+  const count = members.length - context.duplicates.groups.size;
+  logger.info(`${context.duplicates.groups.size} emails are shared by several users, ${count} duplicates are handled with DUPLICATE_USERS=${context.config.duplicateUsers}`);
+}
+
+/**
+ * Finds the IDs of users whose email another user has too
+ * MongoDB groups the emails server side and only returns the duplicates;
+ * a snapshot is already in memory and is grouped here.
+ * @param {Collection} users - users collection
+ * @param {Db|SnapshotDb} db - Source database
+ * @returns {Promise<ObjectId[]>} IDs of every user in a duplicate group
+ */
+async function duplicateIds(users, db) {
+  if (db instanceof SnapshotDb) {
+    const idsByEmail = new Map();
+    for (const user of await users.find({ email: { $type: 'string' } }).toArray()) {
+      const email = normalizeEmail(user.email);
+      if (!idsByEmail.has(email)) {
+        idsByEmail.set(email, []);
+      }
+      idsByEmail.get(email).push(user._id);
+    }
+    return [...idsByEmail.values()].filter(group => group.length > 1).flat();
+  }
+
+  const groups = await users.aggregate([
+    { $match: { email: { $type: 'string' } } },
+    { $group: { _id: { $toLower: { $trim: { input: '$email' } } }, ids: { $push: '$_id' } } },
+    { $match: { 'ids.1': { $exists: true } } }
+  ], { allowDiskUse: true }).toArray();
+  return groups.flatMap(group => group.ids);
+}
+
+/**
+ * Transforms a user, merged with the other users that share its email
+ * The merged record carries the _id of the group's first user, so the
+ * group is written once per full run, when its first user comes up.
+ * @param {Object} oldUser - MongoDB user document
+ * @param {Object} context - Shared run state
+ * @returns {Object} Convex user fields
+ */
+function transformGroup(oldUser, { config, registry, memberships, duplicates, authAccounts }) {
+  const group = duplicates.groups.get(normalizeEmail(oldUser.email));
+  if (!group || config.duplicateUsers === 'skip') {
+    const newUser = transformUser(oldUser, registry, memberships);
+    authAccounts.set(newUser, findAuthAccounts(oldUser, newUser.email));
+    return newUser;
+  }
+
+  // The document being migrated may be newer than the one loaded in setup
+  const users = group.map(user => user._id.equals(oldUser._id) ? oldUser : user);
+  const newest = [...users].sort((a, b) => lastActive(b) - lastActive(a));
+  const transformed = newest.map(user => transformUser(user, registry, memberships));
+  const merged = config.duplicateUsers === 'newest' ? transformed[0] : mergeUsers(transformed);
+
+  // Every merged user keeps its way to sign in, the newest user's password wins
+  const accounts = new Map();
+  for (const user of config.duplicateUsers === 'newest' ? newest.slice(0, 1) : newest) {
+    for (const account of findAuthAccounts(user, merged.email)) {
+      const key = `${account.provider}:${account.providerAccountId}`;
+      if (!accounts.has(key)) accounts.set(key, account);
+    }
+  }
+
+  const newUser = { ...merged, mongoId: group[0]._id.toString() };
+  authAccounts.set(newUser, [...accounts.values()]);
+  return newUser;
+}
+
+/**
+ * Replaces the old profile image URL with a Convex storageId, see
+ * lib/profileImages.js
+ * @param {Object} newUser - Transformed user, changed in place
+ * @param {Object} oldUser - MongoDB user document
+ * @param {Object} context - Shared run state
+ */
+async function migrateImage(newUser, oldUser, context) {
+  const { config, images, report } = context;
+  const url = newUser.image;
+  if (!images || !url) return;
+
+  // Dry runs and verification only use images uploaded by earlier runs
+  if (config.dryRun || context.verifying) {
+    const storageId = images.lookup(url);
+    if (storageId) {
+      newUser.imageStorageId = storageId;
+      delete newUser.image;
+    }
+    return;
+  }
+  // Users that are not written do not need their image
+  if (skipUser(newUser, context, oldUser)) return;
+
+  try {
+    const { storageId, uploaded } = await images.store(url);
+    newUser.imageStorageId = storageId;
+    delete newUser.image;
+    report.record({ type: 'profile image', sourceId: newUser.mongoId, targetId: storageId, action: uploaded ? 'created' : 'linked' });
+  } catch (error) {
+    // Broken images are dropped, the URL is kept if only the upload failed
+    const rejected = error instanceof ImageError;
+    if (rejected) delete newUser.image;
+    logger.warn(`Profile image of ${newUser.email} not migrated (${url}): ${error.message}`);
+    report.record({
+      type: 'profile image',
+      sourceId: newUser.mongoId,
+      action: rejected ? 'rejected' : 'failed',
+      error: `${rejected ? error.reason : 'upload failed'}: ${url}: ${error.message}`
+    });
+  }
+}
+
+/**
+ * Merges transformed users that share an email
+ * - orgIds:   Union by org, keeping per org the whole membership with the
+ *             most active status, and of those the highest role. Role and
+ *             status are never taken from different memberships, so an
+ *             invited admin and an active member merge as the active member
+ * - presence: The newest user's, so lastSeen is the newest lastActive
+ * - emailVerified: True if any of them verified the email
+ * - providers: Union
+ * - Other fields: The newest user's value unless it is empty (missing,
+ *   empty string or empty list), then the next newest user's
+ * @param {Object[]} users - Transformed users, newest first
+ * @returns {Object} Merged user
+ */
+function mergeUsers(users) {
+  const merged = {};
+  for (const field of new Set(users.flatMap(user => Object.keys(user)))) {
+    merged[field] = users.map(user => user[field]).find(value => !isEmpty(value)) ?? users[0][field];
+  }
+
+  const orgs = new Map();
+  for (const org of users.flatMap(user => user.orgIds)) {
+    const current = orgs.get(org.id);
+    orgs.set(org.id, current ? higherMembership(current, org) : org);
+  }
+  merged.orgIds = [...orgs.values()];
+  merged.presence = users[0].presence;
+  merged.emailVerified = users.some(user => user.emailVerified);
+  merged.providers = [...new Set(users.flatMap(user => user.providers))];
+  return merged;
+}
+
+/**
+ * @param {Object} a - Membership { id, role, status }
+ * @param {Object} b - Membership in the same org
+ * @returns {Object} The membership with the more active status, or with the
+ *   higher role when the statuses rank the same, a when both do
+ */
+function higherMembership(a, b) {
+  const order = rank(a.status, STATUS_PRECEDENCE) - rank(b.status, STATUS_PRECEDENCE)
+    || rank(a.role, ROLE_PRECEDENCE) - rank(b.role, ROLE_PRECEDENCE);
+  return order > 0 ? b : a;
+}
+
+/**
+ * @param {string} value - Role or status
+ * @param {string[]} precedence - Values, highest first
+ * @returns {number} Position in precedence, values not in it rank last
+ */
+function rank(value, precedence) {
+  const index = precedence.indexOf(value);
+  return index < 0 ? precedence.length : index;
+}
+
+/**
+ * Skips users without valid organizations, and duplicates whose group is
+ * written with its first user
+ * @param {Object} newUser - Transformed user
+ * @param {Object} context - Shared run state
+ * @param {Object} oldUser - MongoDB user document
+ * @returns {string|null} Reason to skip the user
+ */
+function skipUser(newUser, { config, incremental, duplicates }, oldUser) {
+  const mongoId = oldUser._id.toString();
+  const primaryId = duplicates.primaryIds.get(mongoId);
+
+  if (primaryId && config.duplicateUsers === 'skip') {
+    return `email shared with other users`;
+  }
+  // Sync and watch runs write the group whenever any of its users changes
+  if (primaryId && primaryId !== mongoId && !incremental) {
+    return `duplicate email, merged into user ${primaryId}`;
+  }
+  return newUser.orgIds.length === 0 ? 'no valid orgIds' : null;
+}
+
+/**
+ * @param {string} email - MongoDB email
+ * @returns {string} Email as it is migrated
+ */
+function normalizeEmail(email) {
+  return email?.trim().toLowerCase();
+}
+
+/**
+ * @param {Object} user - MongoDB user document
+ * @returns {number} lastActive as a timestamp, 0 if unknown
+ */
+function lastActive(user) {
+  return user.lastActive ? new Date(user.lastActive).getTime() || 0 : 0;
+}
+
+/**
+ * @param {*} value - Field value
+ * @returns {boolean} True for missing values, empty strings and empty lists
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Loads the role and status mapping tables
+ * @param {string} [filePath] - MEMBERSHIP_MAP_FILE, the defaults apply without one
+ * @returns {{roles: Object, statuses: Object, orgs: Object}} Tables, with per-org overrides keyed by MongoDB team ID
+ * @throws {ConfigError} If the file is set but does not exist
+ */
+function loadMembershipMap(filePath) {
+  const overrides = filePath ? readJsonFile(filePath, 'membership map') : {};
+  if (!overrides) {
+    throw new ConfigError(`Membership map ${filePath} does not exist`);
+  }
+
+  return {
+    roles: { ...DEFAULT_ROLES, ...lowerCaseKeys(overrides.roles) },
+    statuses: { ...DEFAULT_STATUSES, ...lowerCaseKeys(overrides.statuses) },
+    orgs: overrides.orgs ?? {}
+  };
+}
+
+/**
+ * @param {Object} [table] - Mapping table from the membership map
+ * @returns {Object} Table with lower case keys, so lookups ignore case
+ */
+function lowerCaseKeys(table = {}) {
+  return Object.fromEntries(Object.entries(table).map(([key, value]) => [key.toLowerCase(), value]));
+}
+
+/**
+ * Translates one `team` entry into an org membership
+ * @param {Object} team - Entry of a MongoDB user's team array
+ * @param {IdRegistry} registry - ID registry used to map organization IDs
+ * @param {Object} memberships - Tables from loadMembershipMap()
+ * @returns {{id: string|null, role: string, status: string}} Membership, id is null for unmapped orgs
+ */
+function mapMembership(team, registry, memberships) {
+  const teamId = team.teamId?.toString();
+  const orgTables = memberships.orgs[teamId] ?? {};
+  const roles = { ...memberships.roles, ...lowerCaseKeys(orgTables.roles) };
+  const statuses = { ...memberships.statuses, ...lowerCaseKeys(orgTables.statuses) };
+
+  return {
+    id: registry.get('orgs', teamId),
+    role: mapRole(team.role, roles),
+    status: mapStatus(team.status, statuses)
+  };
+}
+
+/**
+ * Transforms a MongoDB user document to the Convex user format
+ * @param {Object} oldUser - MongoDB user document
+ * @param {IdRegistry} registry - ID registry used to map organization IDs
+ * @param {Object} memberships - Role and status tables from loadMembershipMap()
+ * @returns {Object} Convex user fields
+ */
+function transformUser(oldUser, registry, memberships) {
+  const email = normalizeEmail(oldUser.email);
+  const newUser = {
+    mongoId: oldUser._id.toString(),
+    email,
+    emailVerified: isEmailVerified(oldUser, email),
+    image: oldUser.profileImg,
+    isOnboardingComplete: oldUser.isOnBoarded || false,
+    // Missing name parts are left out rather than becoming "undefined"
+    name: [oldUser.firstName, oldUser.lastName].filter(Boolean).join(' '),
+    firstName: oldUser.firstName,
+    lastName: oldUser.lastName,
+    phone: oldUser.phone || '',
+    // Map and filter organization IDs
+    orgIds: (oldUser.team ?? [])
+      .map(t => mapMembership(t, registry, memberships))
+      .filter(org => org.id !== null),
+    activeOrgId: registry.get('orgs', oldUser.teamActive?.toString()),
+    presence: {
+      lastSeen: oldUser.lastActive ? new Date(oldUser.lastActive).toISOString() : new Date().toISOString(),
+      status: 'offline'
+    },
+    providers: [...new Set(findAuthAccounts(oldUser, email).map(account => account.provider))]
+  };
+
+  // Set default active organization if none specified
+  if (!newUser.activeOrgId && newUser.orgIds.length > 0) {
+    newUser.activeOrgId = newUser.orgIds[0].id;
+  }
+
+  return newUser;
+}
+
+/**
+ * Maps old status values to new status values
+ * @param {string} [status] - Old status value, pending when missing
+ * @param {Object} statuses - Status table, old value to new value
+ * @returns {string} - New status value
+ */
+function mapStatus(status, statuses) {
+  const key = String(status ?? 'pending').trim().toLowerCase();
+  return statuses[key] ?? statuses['*'];
+}
+
+/**
+ * Maps old team roles to Convex org roles
+ * @param {string} [role] - Old role value, member when missing
+ * @param {Object} roles - Role table, old value to new value
+ * @returns {string} - Convex org role
+ */
+function mapRole(role, roles) {
+  const key = String(role ?? 'member').trim().toLowerCase();
+  return roles[key] ?? roles['*'];
+}
+
+/**
+ * Expected Output Format
+ * ---------------------
+ * Connecting to MongoDB...
+ * Connected to MongoDB.
+ * users: X
+ * Starting migration...
+ * Creating new user: user@example.com
+ * Migration completed.
+ * user - created: X, updated: Y, skipped: Z, rejected: R, failed: F
+ * Report written to reports/users-<timestamp>.json
+ * Report written to reports/users-<timestamp>.csv
+ */
@@ -0,0 +1,62 @@
+/**
+ * Address Normalization Tests
+ * ===========================
+ *
+ * Covers the street, unit, state and ZIP clean-up of lib/address.js,
+ * including street names that contain unit designator words.
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { formatAddress, normalizeAddress, normalizeZip } from '../lib/address.js';
+
+/**
+ * @param {string} street - Street line
+ * @returns {string} Normalized street line
+ */
+function street(street) {
+  return normalizeAddress({ street }).street;
+}
+
+test('abbreviates the street suffix and unit designator', () => {
+  assert.equal(street('123 Main Street'), '123 Main St');
+  assert.equal(street('123 Main Street Apartment 4'), '123 Main St Apt 4');
+  assert.equal(street('9 Elm Avenue Suite 200'), '9 Elm Ave Ste 200');
+  assert.equal(street('9 Elm Str. #4'), '9 Elm St #4');
+});
+
+test('recognizes a unit and number that end the line without a suffix', () => {
+  assert.equal(street('123 Main Apartment 4'), '123 Main Apt 4');
+  assert.equal(street('123 Broadway Suite 12B'), '123 Broadway Ste 12B');
+  assert.equal(street('123 Broadway #4'), '123 Broadway #4');
+});
+
+test('keeps designator words that are part of the street name', () => {
+  assert.equal(street('100 Floor St'), '100 Floor St');
+  assert.equal(street('100 Floor Street'), '100 Floor St');
+  assert.equal(street('500 Suite Ave Suite 200'), '500 Suite Ave Ste 200');
+  assert.equal(street('12 Lot Lane'), '12 Lot Ln');
+  assert.equal(street('7 Unit Road Unit 3'), '7 Unit Rd Unit 3');
+  assert.equal(street('40 Old Mill Building Road'), '40 Old Mill Building Rd');
+  assert.equal(street('8 Park Room'), '8 Park Room');
+});
+
+test('standardizes a separate unit field', () => {
+  assert.equal(normalizeAddress({ unit: 'Suite 200' }).unit, 'Ste 200');
+  assert.equal(normalizeAddress({ unit: 'Penthouse' }).unit, 'Penthouse');
+});
+
+test('pads ZIP codes and keeps ZIP+4 extensions', () => {
+  assert.equal(normalizeZip(2134), '02134');
+  assert.equal(normalizeZip('02134 - 1234'), '02134-1234');
+  assert.equal(normalizeZip('SW1A 1AA'), 'SW1A 1AA');
+  assert.equal(normalizeZip(''), null);
+});
+
+test('formats an address on one line without empty parts', () => {
+  assert.equal(
+    formatAddress({ street: ' 123  Main Street ', city: 'Springfield', state: 'Illinois', zip: 62701 }),
+    '123 Main St, Springfield, IL 62701'
+  );
+  assert.equal(formatAddress({ street: '1 Elm St', city: 'undefined', state: 'ma', zip: null }), '1 Elm St, MA');
+});
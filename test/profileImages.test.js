@@ -0,0 +1,166 @@
+/**
+ * Profile Images Harness
+ * ======================
+ *
+ * Runs ProfileImages against a local HTTP server that serves the images and
+ * accepts the uploads, so downloads, deduplication and failures can be
+ * checked without the CDN or Convex:
+ *    npm test
+ *
+ * Routes
+ * ------
+ * - /u/a.png, /u/copy.png: The same PNG under two URLs
+ * - /u/b.png:              Another PNG
+ * - /u/large.png:          A PNG larger than MAX_IMAGE_BYTES
+ * - /u/page.html:          An HTML page
+ * - /u/empty.png:          An empty body
+ * - anything else:         404
+ * - POST /upload:          Stores the body and answers { storageId }
+ *
+ * Image URLs point at the CDN and are redirected to the server through
+ * IMAGE_ORIGIN, as in a real test run.
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, beforeEach, test } from 'node:test';
+import { IdRegistry } from '../lib/idRegistry.js';
+import { RunJournal } from '../lib/journal.js';
+import { ImageError, ProfileImages } from '../lib/profileImages.js';
+
+const MAX_BYTES = 1024;
+const CDN = 'https://cdn.example.com';
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+const ROUTES = {
+  '/u/a.png': { type: 'image/png', body: PNG },
+  '/u/copy.png': { type: 'image/png', body: PNG },
+  '/u/b.png': { type: 'image/png', body: Buffer.concat([PNG, Buffer.from('b')]) },
+  '/u/large.png': { type: 'image/png', body: Buffer.concat([PNG, Buffer.alloc(MAX_BYTES)]) },
+  '/u/page.html': { type: 'text/html; charset=utf-8', body: Buffer.from('<html></html>') },
+  '/u/empty.png': { type: 'image/png', body: Buffer.alloc(0) }
+};
+
+let server;
+let origin;
+let directory;
+let downloads;
+let uploads;
+let images;
+
+before(async () => {
+  server = http.createServer(handle);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'profile-images-'));
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+beforeEach(t => {
+  downloads = [];
+  uploads = [];
+  const convexClient = {
+    mutation: async name => {
+      assert.equal(name, 'files:generateUploadUrl');
+      return `${origin}/upload`;
+    }
+  };
+  images = new ProfileImages({ imageOrigin: origin, maxImageBytes: MAX_BYTES }, {
+    convexClient,
+    registry: new IdRegistry(path.join(directory, 'id-map.json')),
+    journal: new RunJournal(directory, t.name.replace(/\W+/g, '-'))
+  });
+});
+
+/**
+ * @param {http.IncomingMessage} request - Request
+ * @param {http.ServerResponse} response - Response
+ */
+function handle(request, response) {
+  if (request.method === 'POST' && request.url === '/upload') {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+      uploads.push(Buffer.concat(chunks));
+      response.writeHead(200, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify({ storageId: `kg${uploads.length}` }));
+    });
+    return;
+  }
+
+  downloads.push(request.url);
+  const route = ROUTES[request.url];
+  if (!route) {
+    response.writeHead(404).end();
+    return;
+  }
+  response.writeHead(200, { 'Content-Type': route.type, 'Content-Length': route.body.length });
+  response.end(route.body);
+}
+
+/**
+ * @param {Promise} promise - Call to ProfileImages.store()
+ * @param {string} reason - Expected ImageError reason
+ */
+async function rejectsWith(promise, reason) {
+  await assert.rejects(promise, error => error instanceof ImageError && error.reason === reason);
+}
+
+test('downloads an image from IMAGE_ORIGIN and uploads it', async () => {
+  const result = await images.store(`${CDN}/u/a.png`);
+
+  assert.deepEqual(result, { storageId: 'kg1', uploaded: true });
+  assert.deepEqual(downloads, ['/u/a.png']);
+  assert.deepEqual(uploads, [PNG]);
+  assert.equal(images.lookup(`${CDN}/u/a.png`), 'kg1');
+});
+
+test('does not download a URL that was uploaded before', async () => {
+  await images.store(`${CDN}/u/a.png`);
+  const result = await images.store(`${CDN}/u/a.png`);
+
+  assert.deepEqual(result, { storageId: 'kg1', uploaded: false });
+  assert.deepEqual(downloads, ['/u/a.png']);
+});
+
+test('uploads an image shared by concurrent users once', async () => {
+  const results = await Promise.all([images.store(`${CDN}/u/a.png`), images.store(`${CDN}/u/a.png`)]);
+
+  assert.deepEqual(results.map(result => result.storageId), ['kg1', 'kg1']);
+  assert.equal(uploads.length, 1);
+});
+
+test('reuses the storageId of an image with the same content', async () => {
+  await images.store(`${CDN}/u/a.png`);
+  const copy = await images.store(`${CDN}/u/copy.png`);
+  const other = await images.store(`${CDN}/u/b.png`);
+
+  assert.deepEqual(copy, { storageId: 'kg1', uploaded: false });
+  assert.deepEqual(other, { storageId: 'kg2', uploaded: true });
+  assert.equal(uploads.length, 2);
+  assert.equal(images.lookup(`${CDN}/u/copy.png`), 'kg1');
+});
+
+test('rejects images larger than MAX_IMAGE_BYTES', async () => {
+  await rejectsWith(images.store(`${CDN}/u/large.png`), 'oversized');
+  assert.equal(uploads.length, 0);
+});
+
+test('rejects broken URLs and empty bodies', async () => {
+  await rejectsWith(images.store(`${CDN}/u/missing.png`), 'broken');
+  await rejectsWith(images.store(`${CDN}/u/empty.png`), 'broken');
+  assert.equal(uploads.length, 0);
+  assert.equal(images.lookup(`${CDN}/u/missing.png`), null);
+});
+
+test('rejects responses that are not images', async () => {
+  await rejectsWith(images.store(`${CDN}/u/page.html`), 'invalid');
+  assert.equal(uploads.length, 0);
+});